@@ -0,0 +1,1054 @@
+/**
+ * SLAM monitor page
+ *
+ * Served from the package with the vendor libraries, so the page needs no CDN
+ * and no inline script. Settings come from the #slam-config JSON block.
+ */
+var SLAM = JSON.parse(document.getElementById('slam-config').textContent);
+
+// Resolution of the route charts (segment size & retention)
+var resolution = SLAM.resolutions[0];
+
+// Route toolbar state, kept in the URL so views can be shared
+var state = {
+    q: '',              // search in "METHOD route"
+    method: '',         // only routes of this HTTP method
+    sort: 'traffic',    // traffic, errors, latency, size, anomalies or name
+    range: null,        // time range in ms, the whole retention of the resolution by default
+    refresh: 12e4,      // auto-refresh interval in ms, 0 to disable
+    host: ''            // on a hub, only this host's statistics
+};
+
+var SORTS = { traffic: 'count', errors: 'errorRate', latency: 'p95', size: 'avgResponseBytes', anomalies: 'anomalies', name: null };
+
+// Time ranges offered when they fit the resolution
+var RANGES = [9e5, 18e5, 36e5, 108e5, 216e5, 432e5, 864e5, 2592e5, 6048e5, 2592e6, 7776e6, 31536e6];
+
+// Routes rendered at once, "Show more" adds as many
+var PAGE_SIZE = 20;
+var shown = PAGE_SIZE;
+
+var refreshTimer = null;
+var requestsByKey = {};
+
+// Anomalies of each route by segment, and the baselines they stray from
+var anomaliesByKey = {};
+var baselines = {};
+
+// Last 60 seconds of the live stream, and its charts
+var live = { seconds: [], chart: null, latencyChart: null };
+
+function segmentToTs(t) { return resolution.segmentSize * t; }
+
+function tsToSegment(t) { return (t = t || +new Date()), Math.floor(t / resolution.segmentSize); }
+
+// 300000 -> '5m'
+function formatDuration(ms) {
+    var units = [['d', 864e5], ['h', 36e5], ['m', 6e4], ['s', 1e3]];
+    for (var i = 0; i < units.length; i++) {
+        if (ms >= units[i][1] && ms % units[i][1] === 0) return (ms / units[i][1]) + units[i][0];
+    }
+    return ms + 'ms';
+}
+
+// '5m' -> 300000, 'off' -> 0
+function parseDuration(s) {
+    if (s === 'off') return 0;
+
+    var m = /^(\d+)(ms|s|m|h|d)?$/.exec(s || '');
+    return m ? +m[1] * { ms: 1, s: 1e3, m: 6e4, h: 36e5, d: 864e5 }[m[2] || 'ms'] : null;
+}
+
+function rangeOptions() {
+    return RANGES.filter(function (r) {
+        return r >= 2 * resolution.segmentSize && r < resolution.retention && r % resolution.segmentSize === 0;
+    }).concat([resolution.retention]);
+}
+
+// Number of segments of the selected time range
+function rangeSegments() {
+    return Math.round(state.range / resolution.segmentSize);
+}
+
+function readState() {
+    var params = new URLSearchParams(location.search);
+    var segmentSize = parseDuration(params.get('resolution'));
+    var refresh = parseDuration(params.get('refresh'));
+
+    state.q = params.get('q') || '';
+    state.host = SLAM.hub ? params.get('host') || '' : '';
+    state.method = (params.get('method') || '').toUpperCase();
+    if (SORTS.hasOwnProperty(params.get('sort'))) state.sort = params.get('sort');
+    if (refresh !== null) state.refresh = refresh;
+
+    SLAM.resolutions.forEach(function (r) {
+        if (r.segmentSize === segmentSize) resolution = r;
+    });
+
+    state.range = parseDuration(params.get('range'));
+    if (rangeOptions().indexOf(state.range) < 0) state.range = resolution.retention;
+}
+
+// Only non-default values end up in the URL
+function writeState() {
+    var params = new URLSearchParams();
+
+    if (state.q) params.set('q', state.q);
+    if (state.method) params.set('method', state.method);
+    if (state.sort !== 'traffic') params.set('sort', state.sort);
+    if (resolution !== SLAM.resolutions[0]) params.set('resolution', formatDuration(resolution.segmentSize));
+    if (state.range !== resolution.retention) params.set('range', formatDuration(state.range));
+    if (state.refresh !== 12e4) params.set('refresh', state.refresh ? formatDuration(state.refresh) : 'off');
+    if (state.host) params.set('host', state.host);
+
+    var query = params.toString();
+    history.replaceState(null, '', location.pathname + (query ? '?' + query : ''));
+}
+
+// Query parameters of a statistics request, for the selected host on a hub
+function withHost(params) {
+    params = params || {};
+    if (state.host) params.host = state.host;
+    return params;
+}
+
+var status_codes = {
+    "100": "Continue",
+    "101": "Switching Protocols",
+    "102": "Processing",
+    "103": "Checkpoint",
+    "200": "OK",
+    "201": "Created",
+    "202": "Accepted",
+    "203": "Non-Authoritative Information",
+    "204": "No Content",
+    "205": "Reset Content",
+    "206": "Partial Content",
+    "207": "Multi-Status",
+    "208": "Already Reported",
+    "300": "Multiple Choices",
+    "301": "Moved Permanently",
+    "302": "Found",
+    "303": "See Other",
+    "304": "Not Modified",
+    "305": "Use Proxy",
+    "306": "Switch Proxy",
+    "307": "Temporary Redirect",
+    "308": "Permanent Redirect",
+    "400": "Bad Request",
+    "401": "Unauthorized",
+    "402": "Payment Required",
+    "403": "Forbidden",
+    "404": "Not Found",
+    "405": "Method Not Allowed",
+    "406": "Not Acceptable",
+    "407": "Proxy Authentication Required",
+    "408": "Request Time-out",
+    "409": "Conflict",
+    "410": "Gone",
+    "411": "Length Required",
+    "412": "Precondition Failed",
+    "413": "Request Entity Too Large",
+    "414": "Request-URI Too Long",
+    "415": "Unsupported Media Type",
+    "416": "Requested Range Not Satisfiable",
+    "417": "Expectation Failed",
+    "418": "I'm a teapot",
+    "421": "Unprocessable Entity",
+    "422": "Misdirected Request",
+    "423": "Locked",
+    "424": "Failed Dependency",
+    "426": "Upgrade Required",
+    "428": "Precondition Required",
+    "429": "Too Many Requests",
+    "431": "Request Header Fileds Too Large",
+    "451": "Unavailable For Legal Reasons",
+    "500": "Internal Server Error",
+    "501": "Not Implemented",
+    "502": "Bad Gateway",
+    "503": "Service Unavailable",
+    "504": "Gateway Timeout",
+    "505": "HTTP Version Not Supported",
+    "506": "Variant Also Negotiates",
+    "507": "Insufficient Storage",
+    "508": "Loop Detected",
+    "509": "Bandwidth Limit Exceeded",
+    "510": "Not Extended",
+    "511": "Network Authentication Required",
+    "1xx": "Informational",
+    "2xx": "Success",
+    "3xx": "Redirection",
+    "4xx": "Client Error",
+    "5xx": "Server Error"
+};
+
+// 1536 -> '1.5 KB'
+function formatBytes(n) {
+    var units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    for (var i = 0; n >= 1024 && i < units.length - 1; i++) n /= 1024;
+    return (i ? n.toFixed(1) : Math.round(n)) + ' ' + units[i];
+}
+
+function statusCodeString(x) {
+    var y = status_codes[(x+'')];
+    return y ? ' (' + ( y ) + ')' : '';
+}
+
+function renderChart(t, a) {
+    var r = $('<div class="row"> <div class="col-md-12">  <div class="card bg-light mb-3"> <div class="chart" title=""></div> <div class="chart2" title=""></div> <div class="chart3"></div> <div class="anomalies"></div> <div class="schema"></div> <div class="requests"></div> </div>  </div>    </div>'); //<div class="col-md-1 align-middle pt-8"><strong class="reqs"></strong><strong> reqs.</strong> </div>
+
+    r.attr('data-k', t); // r.find('.reqs').text(a.count), , r.find('.adur').text(Math.round(a.avgDurationMs)),
+
+    renderSchema(r, t);
+
+    // Anomalous segments are marked in the tooltips and listed below the charts
+    var flagged = anomaliesByKey[t] || {};
+    var found = [];
+
+    for (var e = { labels: [], datasets: [] }, f = { labels: [], datasets: [] }, s = tsToSegment(), n = s - (rangeSegments() - 1), o = n; o <= s; o++) {
+        var i = moment(segmentToTs(o)).fromNow() + (flagged[o] ? ' ⚠' : '');
+        e.labels.push(i);
+        f.labels.push(i);
+        if (flagged[o]) found = flagged[o].concat(found);
+    }
+
+    // Usual level of the metrics that strayed from it
+    var baseline = baselines[t] || {};
+    var strayed = function (metric) { return baseline[metric] && found.some(function (x) { return x.metric === metric; }); };
+
+    if (strayed('count')) e.yMarkers = [{ label: 'Usual', value: Math.round(baseline.count.mean) }];
+    if (strayed('p95DurationMs')) f.yMarkers = [{ label: 'Usual p95', value: Math.round(baseline.p95DurationMs.mean) }];
+
+    for (var d in a.statusCodes) {
+        var c = { name: d, chartType: "bar", values: [] };
+        for (o = n; o <= s; o++) {
+            var l = 0;
+            try {
+                l = a.statusCodes[d].segments[o].count;
+            } catch (t) {}
+            c.values.push(l);
+        }
+        e.datasets.push(c);
+    }
+
+    // Mean and percentile request times, across all status codes
+    var lines = [['Average', 'avgDurationMs'], ['p50', 'p50'], ['p90', 'p90'], ['p95', 'p95'], ['p99', 'p99']];
+
+    lines.forEach(function (line) {
+        var g = { name: line[0], chartType: "line", values: [] };
+        for (o = n; o <= s; o++) {
+            var seg = (a.segments || {})[o] || {};
+            var m = line[1] === 'avgDurationMs' ? seg.avgDurationMs : (seg.percentiles || {})[line[1]];
+            g.values.push(Math.round(m || 0));
+        }
+        f.datasets.push(g);
+    });
+
+    // Bytes received & sent per segment
+    var b = { labels: e.labels, datasets: [
+        { name: 'Received', chartType: 'bar', values: [] },
+        { name: 'Sent', chartType: 'bar', values: [] }
+    ] };
+
+    for (o = n; o <= s; o++) {
+        var bytes = (a.segments || {})[o] || {};
+        b.datasets[0].values.push(bytes.requestBytes || 0);
+        b.datasets[1].values.push(bytes.responseBytes || 0);
+    }
+
+    renderAnomalies(r, found);
+
+    $(".container > .charts").append(r);
+
+    new frappe.Chart(r.find(".chart")[0], {
+        data: e,
+        title: t,
+        type: "bar",
+        height: 220,
+        colors: ["green"],
+        barOptions: { stacked: !0, spaceRatio: 0.2 },
+        animate: false,
+        truncateLegends: true,
+        xAxisMode: 'tick',
+        tooltipOptions: {
+            formatTooltipX: function (t) {
+                return (t + "").toUpperCase();
+            },
+            formatTooltipY: function (t) {
+                return (t || 0).toLocaleString() + " req(s)";
+            },
+        },
+    });
+
+    new frappe.Chart(r.find(".chart2")[0], {
+        data: f,
+        title: 'Request Times (' + (Math.round(a.avgDurationMs || 0)).toLocaleString() + 'ms Average, ' + (Math.round((a.percentiles || {}).p95 || 0)).toLocaleString() + 'ms p95, ' + (Math.round(a.maxDurationMs || 0)).toLocaleString() + 'ms Max over ' + (a.count || 0).toLocaleString() + ' requests)',
+        type: "line",
+        height: 220,
+        colors: ["green", "#6c757d", "#007bff", "#fd7e14", "#dc3545"],
+        barOptions: {  },
+        animate: false,
+        truncateLegends: true,
+        xAxisMode: 'tick',
+        tooltipOptions: {
+            formatTooltipX: function (t) {
+                return (t + "").toUpperCase();
+            },
+            formatTooltipY: function (t) {
+                return (t || 0).toLocaleString() + "ms";
+            },
+        },
+    });
+
+    if (a.requestBytes || a.responseBytes) new frappe.Chart(r.find(".chart3")[0], {
+        data: b,
+        title: 'Throughput (' + formatBytes(a.avgRequestBytes || 0) + ' avg / ' + formatBytes(a.maxRequestBytes || 0) + ' max received, ' + formatBytes(a.avgResponseBytes || 0) + ' avg / ' + formatBytes(a.maxResponseBytes || 0) + ' max sent per request)',
+        type: "bar",
+        height: 180,
+        colors: ["#6f42c1", "#20c997"],
+        barOptions: { spaceRatio: 0.2 },
+        animate: false,
+        truncateLegends: true,
+        xAxisMode: 'tick',
+        tooltipOptions: {
+            formatTooltipX: function (t) {
+                return (t + "").toUpperCase();
+            },
+            formatTooltipY: function (t) {
+                return formatBytes(t || 0);
+            },
+        },
+    });
+}
+
+function formatUptime(seconds) {
+    const days = Math.floor(seconds / 86400);
+    const hours = Math.floor((seconds % 86400) / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+
+    if (days > 0) return days + 'd ' + hours + 'h';
+    if (hours > 0) return hours + 'h ' + minutes + 'm';
+    return minutes + 'm';
+}
+
+// Hub: every host, unhealthy & stale ones first (click one to see only its statistics), and the host picker
+function renderHosts(hosts) {
+    $('#hosts').show();
+    $('#hosts-rows').html('');
+
+    hosts.forEach(function (h) {
+        var health = h.health || {};
+        var row = $('<tr class="clickable">')
+            .toggleClass('table-danger', h.status === 'stale')
+            .toggleClass('table-warning', h.status === 'warning')
+            .toggleClass('table-active', h.hostname === state.host)
+            .append($('<td>').text(h.hostname))
+            .append($('<td>').text(h.status))
+            .append($('<td>').text(moment(h.lastSeen).fromNow()))
+            .append($('<td>').text(Math.round(h.requests).toLocaleString()))
+            .append($('<td>').text(health.errorRate !== undefined ? health.errorRate + '%' : '--'))
+            .append($('<td>').text(health.avgResponseTime !== undefined ? health.avgResponseTime + ' ms' : '--'))
+            .append($('<td>').text(h.memory ? formatBytes(h.memory.rss) : '--'))
+            .append($('<td>').text(health.eventLoop ? health.eventLoop.p99 + ' ms' : '--'))
+            .append($('<td>').text(h.issues.join(', ')));
+
+        row.on('click', function () { selectHost(h.hostname === state.host ? '' : h.hostname); });
+        $('#hosts-rows').append(row);
+    });
+
+    var picker = $('#host');
+    picker.find('option:not(:first)').remove();
+    hosts.map(function (h) { return h.hostname; }).sort().forEach(function (name) {
+        picker.append($('<option>').val(name).text(name));
+    });
+    if (state.host && !hosts.some(function (h) { return h.hostname === state.host; })) picker.append($('<option>').val(state.host).text(state.host));
+    picker.val(state.host).show();
+}
+
+function selectHost(host) {
+    state.host = host;
+    writeState();
+    updateAll();
+}
+
+// SLO compliance, error budget left & burn rates
+function updateSlos() {
+    if (SLAM.paths.slos) $.get(SLAM.paths.slos, withHost(), function (r) {
+        var colors = { ok: 'success', warning: 'warning', critical: 'danger' };
+        var rate = function (x) { return x === null ? '–' : x.toLocaleString(); };
+
+        $('#slos').show();
+        $('#slos-rows').html('');
+
+        r.slos.forEach(function (o) {
+            var left = Math.max(0, Math.min(100, o.errorBudget.remaining));
+            var budget = $('<div class="progress slo-budget">').append(
+                $('<div class="progress-bar">')
+                    .addClass('bg-' + (o.errorBudget.remaining > 50 ? 'success' : o.errorBudget.remaining > 0 ? 'warning' : 'danger'))
+                    .css('width', left + '%')
+                    .text(Math.round(o.errorBudget.remaining) + '%')
+            );
+
+            $('#slos-rows').append($('<tr>')
+                .append($('<td>').text(o.name).attr('title', o.route || 'All routes'))
+                .append($('<td>').text(o.objective + '%' + (o.latencyMs ? ' under ' + o.latencyMs.toLocaleString() + 'ms' : '') + ' over ' + formatDuration(o.window)
+                    + (o.covered < o.window ? ' (last ' + formatDuration(o.covered) + ' kept)' : '')))
+                .append($('<td>').text(o.ratio === null ? 'No requests' : o.ratio + '% of ' + Math.round(o.total).toLocaleString()))
+                .append($('<td>').append(budget).attr('title', Math.round(o.errorBudget.spent).toLocaleString() + ' of ' + Math.round(o.errorBudget.allowed).toLocaleString() + ' bad requests allowed'))
+                .append($('<td>').text(['1h', '6h', '1d', '3d'].map(function (w) { return rate(o.burnRates[w]); }).join(' / ')))
+                .append($('<td>').append($('<span class="badge">').addClass('bg-' + colors[o.status]).text(o.status)
+                    .attr('title', o.alerts.map(function (a) { return a.long + ' & ' + a.short + ' burn rates above ' + a.rate; }).join(', ')))));
+        });
+    });
+}
+
+function updateAlerts() {
+    if (SLAM.paths.alerts) $.get(SLAM.paths.alerts, function (alerts) {
+        $('#alerts').show();
+        $('#alerts-active').html('');
+
+        if (!alerts.active.length) {
+            $('#alerts-active').append($('<div class="alert alert-success py-2">').text('No active alerts'));
+        }
+
+        alerts.active.forEach(function (a) {
+            $('#alerts-active').append(
+                $('<div class="alert alert-danger py-2">')
+                    .append($('<strong>').text(a.rule + ': '))
+                    .append($('<span>').text(a.message + ' (since ' + moment(a.since).fromNow() + ')'))
+            );
+        });
+
+        $('#alerts-history').html('');
+        alerts.history.slice(0, 20).forEach(function (e) {
+            $('#alerts-history').append(
+                $('<li>').text(moment(e.timestamp).format('HH:mm:ss') + ' ' + e.status.toUpperCase() + ' ' + e.rule + ': ' + e.message)
+            );
+        });
+    });
+}
+
+function updateSystemMetrics() {
+    if (SLAM.paths.health) $.get(SLAM.paths.health, withHost(), function (health) {
+        if (health.hosts) renderHosts(health.hosts);
+
+        // Update health status
+        const statusEl = $('#health-status');
+        const statusText = $('#health-text');
+        const statusDetails = $('#health-details');
+
+        statusEl.removeClass('health-healthy health-warning health-critical');
+
+        if (health.health.status === 'healthy') {
+            statusEl.addClass('health-healthy');
+            statusText.text('Healthy');
+            statusDetails.text('All systems operating normally');
+        } else {
+            statusEl.addClass('health-warning');
+            statusText.text('Warning');
+            let issues = [];
+            if (health.health.memoryPressure) {
+                const reason = health.system.memory.memoryPressureReason || 'High memory usage';
+                issues.push(reason);
+            }
+            if (health.health.highErrorRate) issues.push('High error rate');
+            if (health.health.highLoad) issues.push('High CPU load');
+            if (health.health.highEventLoopLag) issues.push('Event loop blocked (p99 ' + health.system.eventLoop.p99 + ' ms)');
+            statusDetails.text('Issues detected: ' + issues.join(', '));
+        }
+
+        // Update metric cards - show RSS instead of heap percentage for more meaningful info
+        $('#memory-usage').text(health.system.memory.rss + ' MB');
+        $('#memory-details').text('RSS: ' + health.system.memory.rss + ' MB, Limit: ' + health.system.memory.heapLimit + ' MB');
+
+        $('#cpu-load').text(health.system.cpu.loadAverage[0].toFixed(2));
+        $('#cpu-details').text(health.system.cpu.cores + ' cores');
+
+        $('#total-requests').text(health.api.totalRequests.toLocaleString());
+        $('#avg-response').text(health.api.avgResponseTime + ' ms avg');
+
+        $('#error-rate').text(health.api.errorRate + '%');
+        $('#uptime').text('Uptime: ' + formatUptime(health.system.uptime));
+
+        $('#last-updated').text('Last updated: ' + moment().format('HH:mm:ss'));
+    });
+
+    if (SLAM.paths.systemMetrics) $.get(SLAM.paths.systemMetrics, withHost(), function (metrics) {
+        // Render memory chart
+        if (metrics.trends.memory.length > 0) {
+            const memoryData = {
+                labels: metrics.trends.memory.map(m => moment(m.timestamp).fromNow()),
+                datasets: [
+                    {
+                        name: "Heap Used",
+                        chartType: "line",
+                        values: metrics.trends.memory.map(m => m.heapUsed)
+                    },
+                    {
+                        name: "RSS",
+                        chartType: "line",
+                        values: metrics.trends.memory.map(m => m.rss)
+                    }
+                ]
+            };
+
+            new frappe.Chart("#memory-chart", {
+                data: memoryData,
+                type: "line",
+                height: 200,
+                colors: ["#007bff", "#28a745"],
+                animate: false,
+                tooltipOptions: {
+                    formatTooltipY: function (value) {
+                        return value + " MB";
+                    }
+                }
+            });
+        }
+
+        // Render CPU chart
+        if (metrics.trends.cpu.length > 0) {
+            const cpuData = {
+                labels: metrics.trends.cpu.map(c => moment(c.timestamp).fromNow()),
+                datasets: [
+                    {
+                        name: "Load Average",
+                        chartType: "line",
+                        values: metrics.trends.cpu.map(c => c.loadAverage[0].toFixed(2))
+                    }
+                ]
+            };
+
+            new frappe.Chart("#cpu-chart", {
+                data: cpuData,
+                type: "line",
+                height: 200,
+                colors: ["#ffc107"],
+                animate: false,
+                tooltipOptions: {
+                    formatTooltipY: function (value) {
+                        return value + " load";
+                    }
+                }
+            });
+        }
+
+        // Event-loop delay per segment, and the last sample
+        var loop = metrics.current.eventLoop;
+        $('#event-loop-details').text(loop ? 'now: ' + loop.mean + ' ms avg, ' + loop.p99 + ' ms p99' : '');
+
+        if (metrics.trends.eventLoop.length > 0) {
+            new frappe.Chart("#event-loop-chart", {
+                data: {
+                    labels: metrics.trends.eventLoop.map(function (e) { return moment(e.timestamp).fromNow(); }),
+                    datasets: [
+                        { name: "Average", chartType: "line", values: metrics.trends.eventLoop.map(function (e) { return e.mean; }) },
+                        { name: "p99", chartType: "line", values: metrics.trends.eventLoop.map(function (e) { return e.p99; }) },
+                        { name: "Max", chartType: "line", values: metrics.trends.eventLoop.map(function (e) { return e.max; }) }
+                    ]
+                },
+                type: "line",
+                height: 200,
+                colors: ["#17a2b8", "#fd7e14", "#dc3545"],
+                animate: false,
+                tooltipOptions: {
+                    formatTooltipY: function (value) {
+                        return value + " ms";
+                    }
+                }
+            });
+        }
+
+        // Time spent in GC pauses per segment, and the active handles
+        var handles = metrics.current.handles;
+        $('#handles-details').text(handles ? handles.handles + ' active handle(s), ' + handles.requests + ' request(s)' : '');
+
+        if (metrics.trends.gc.length > 0) {
+            new frappe.Chart("#gc-chart", {
+                data: {
+                    labels: metrics.trends.gc.map(function (g) { return moment(g.timestamp).fromNow(); }),
+                    datasets: [
+                        { name: "Pause time", chartType: "bar", values: metrics.trends.gc.map(function (g) { return Math.round(g.durationMs); }) }
+                    ]
+                },
+                type: "bar",
+                height: 200,
+                colors: ["#6f42c1"],
+                animate: false,
+                tooltipOptions: {
+                    formatTooltipY: function (value) {
+                        return value + " ms";
+                    }
+                }
+            });
+        }
+    });
+}
+
+function renderLive() {
+    var seconds = live.seconds.slice(-60);
+    if (!seconds.length) return;
+
+    var count = 0, errors = 0, totalMs = 0, p95 = 0;
+    seconds.forEach(function (s) {
+        count += s.count;
+        errors += s.errors;
+        totalMs += s.avgDurationMs * s.count;
+        p95 = Math.max(p95, s.p95DurationMs);
+    });
+
+    $('#live').show();
+    $('#live-rate').text((count / seconds.length).toFixed(1));
+    $('#live-errors').text(errors.toLocaleString() + (count ? ' (' + ((errors / count) * 100).toFixed(1) + '%)' : ''));
+    $('#live-avg').text(Math.round(count ? totalMs / count : 0).toLocaleString() + 'ms');
+    $('#live-p95').text(Math.round(p95).toLocaleString() + 'ms');
+    $('#live-memory').text(seconds[seconds.length - 1].memory.rss + ' MB');
+
+    var labels = seconds.map(function (s) { return moment(s.t).format('HH:mm:ss'); });
+
+    var requests = {
+        labels: labels,
+        datasets: [
+            { name: 'Requests', chartType: 'bar', values: seconds.map(function (s) { return s.count; }) },
+            { name: 'Errors', chartType: 'bar', values: seconds.map(function (s) { return s.errors; }) }
+        ]
+    };
+
+    var latency = {
+        labels: labels,
+        datasets: [
+            { name: 'Average', chartType: 'line', values: seconds.map(function (s) { return Math.round(s.avgDurationMs); }) },
+            { name: 'p95', chartType: 'line', values: seconds.map(function (s) { return Math.round(s.p95DurationMs); }) }
+        ]
+    };
+
+    // Charts are created once, then updated every second
+    if (live.chart) {
+        live.chart.update(requests);
+        live.latencyChart.update(latency);
+        return;
+    }
+
+    live.chart = new frappe.Chart('#live-chart', {
+        data: requests,
+        type: 'bar',
+        height: 180,
+        colors: ['green', '#dc3545'],
+        animate: false,
+        tooltipOptions: { formatTooltipY: function (v) { return (v || 0).toLocaleString() + ' req(s)'; } }
+    });
+
+    live.latencyChart = new frappe.Chart('#live-latency-chart', {
+        data: latency,
+        type: 'line',
+        height: 180,
+        colors: ['green', '#fd7e14'],
+        animate: false,
+        tooltipOptions: { formatTooltipY: function (v) { return (v || 0).toLocaleString() + 'ms'; } }
+    });
+}
+
+function pollLive() {
+    $('#live-status').text('(polling every 5s)');
+
+    function poll() {
+        $.get(SLAM.paths.live, function (r) {
+            live.seconds = r.seconds;
+            renderLive();
+        });
+    }
+
+    poll();
+    setInterval(poll, 5000);
+}
+
+// Live panel: Server-Sent Events, or polling when they are not available
+function startLive() {
+    if (!SLAM.paths.live) return;
+    if (!window.EventSource) return pollLive();
+
+    var source = new EventSource(SLAM.paths.live);
+    var connected = false;
+
+    source.addEventListener('history', function (e) {
+        connected = true;
+        live.seconds = JSON.parse(e.data);
+        $('#live-status').text('(live)');
+        renderLive();
+    });
+
+    source.addEventListener('second', function (e) {
+        live.seconds.push(JSON.parse(e.data));
+        if (live.seconds.length > 60) live.seconds.shift();
+        renderLive();
+    });
+
+    source.onerror = function () {
+        // Never got through (e.g. a proxy buffering the stream): poll instead
+        if (!connected) {
+            source.close();
+            return pollLive();
+        }
+
+        $('#live-status').text('(reconnecting...)');
+    };
+}
+
+// Rows of a schema's fields, nested keys as "user.name" and array elements as "tags[]"
+function schemaRows(fields, prefix, rows) {
+    Object.keys(fields || {}).sort().forEach(function (key) {
+        var f = fields[key];
+        var types = Object.keys(f.types).sort(function (a, b) { return f.types[b] - f.types[a]; });
+
+        rows.push({ path: prefix + key, field: f, types: types });
+        if (f.fields) schemaRows(f.fields, prefix + key + '.', rows);
+        if (f.items) {
+            rows.push({ path: prefix + key + '[]', field: f.items, types: Object.keys(f.items.types) });
+            if (f.items.fields) schemaRows(f.items.fields, prefix + key + '[].', rows);
+        }
+    });
+
+    return rows;
+}
+
+// Inferred parameters of a route, loaded when opened
+function renderSchema(r, key) {
+    if (!SLAM.paths.schema) return;
+
+    var details = $('<details class="px-3 pb-2">').append($('<summary>').text('Parameters'));
+    var loaded = false;
+
+    details.on('toggle', function () {
+        if (!this.open || loaded) return;
+        loaded = true;
+
+        $.get(SLAM.paths.schema, withHost({ key: key }), function (schema) {
+            var table = $('<table class="table table-sm mb-0 small"><thead><tr><th>In</th><th>Key</th><th>Types</th><th>Seen in</th><th>First seen</th><th>Last seen</th></tr></thead><tbody></tbody></table>');
+
+            ['params', 'query', 'body'].forEach(function (location) {
+                schemaRows(schema[location], '', []).forEach(function (row) {
+                    var f = row.field;
+
+                    // Several types for one key: type drift
+                    table.find('tbody').append(
+                        $('<tr>').toggleClass('table-warning', row.types.length > 1)
+                            .append($('<td>').text(location))
+                            .append($('<td>').append($('<code>').text(row.path)))
+                            .append($('<td>').text(row.types.map(function (type) { return type + ' (' + f.types[type].toLocaleString() + ')'; }).join(', ')))
+                            .append($('<td>').text(f.frequency !== undefined ? Math.round(f.frequency * 1000) / 10 + '%' : ''))
+                            .append($('<td>').text(moment(f.firstSeen).fromNow()))
+                            .append($('<td>').text(moment(f.lastSeen).fromNow()))
+                    );
+                });
+            });
+
+            if (!table.find('tbody tr').length) table = $('<p class="text-muted mb-0 small">').text('No parameters seen in ' + schema.count.toLocaleString() + ' request(s)');
+            details.append(table);
+        }).fail(function () {
+            details.append($('<p class="text-muted mb-0 small">').text('No parameters recorded yet'));
+        });
+    });
+
+    r.find('.schema').append(details);
+}
+
+// '420 requests (usually ~80)'
+function describeAnomaly(x) {
+    if (x.metric === 'count') return Math.round(x.value).toLocaleString() + ' requests (usually ~' + Math.round(x.expected).toLocaleString() + ')';
+    if (x.metric === 'errorRate') return Math.round(x.value) + '% errors (usually ~' + Math.round(x.expected) + '%)';
+    return Math.round(x.value).toLocaleString() + 'ms p95 (usually ~' + Math.round(x.expected).toLocaleString() + 'ms)';
+}
+
+// Anomalies of a route over the time range, newest first, below its charts
+function renderAnomalies(r, found) {
+    if (!found.length) return;
+
+    var list = $('<ul class="mb-0">');
+
+    found.slice(0, 5).forEach(function (x) {
+        list.append($('<li>').text(moment(x.timestamp).format('HH:mm') + ': ' + describeAnomaly(x)));
+    });
+
+    r.find('.card').addClass('anomalous');
+    r.find('.anomalies').append(
+        $('<div class="px-3 pb-2 small text-danger">')
+            .append($('<strong>').text('⚠ ' + found.length + ' unusual segment(s)'))
+            .append(list)
+    );
+}
+
+// Recent slow & failed requests of a route, below its charts (click a row for details)
+function renderRequests(r, list) {
+    if (!list.length) return;
+
+    var table = $('<table class="table table-sm table-hover mb-0 small"><thead><tr><th>Time</th><th>Status</th><th>Duration</th><th>Reason</th><th>Request ID</th></tr></thead><tbody></tbody></table>');
+
+    list.slice(0, 20).forEach(function (e) {
+        var row = $('<tr class="clickable">')
+            .append($('<td>').text(moment(e.timestamp).format('HH:mm:ss')))
+            .append($('<td>').text(e.statusCode + statusCodeString(e.statusCode)))
+            .append($('<td>').text(Math.round(e.durationMs).toLocaleString() + 'ms'))
+            .append($('<td>').text(e.reasons.join(', ')))
+            .append($('<td>').text(e.requestId));
+        var details = $('<tr class="is-hidden"><td colspan="5"><pre class="mb-0"></pre></td></tr>');
+
+        details.find('pre').text(JSON.stringify(e, null, 2));
+        row.on('click', function () { details.toggle(); });
+        table.find('tbody').append(row, details);
+    });
+
+    r.find('.requests').append(
+        $('<details class="px-3 pb-2">')
+            .append($('<summary>').text(list.length + ' recent slow or failed request(s)'))
+            .append(table)
+    );
+}
+
+// Requests, error rate (%), request-weighted p95 (ms), average response size and anomalies of a route over the time range
+function routeSummary(k, a) {
+    var count = 0, errors = 0, p95 = 0, responseBytes = 0, anomalies = 0;
+
+    for (var s = tsToSegment(), o = s - (rangeSegments() - 1); o <= s; o++) {
+        anomalies += ((anomaliesByKey[k] || {})[o] || []).length;
+
+        var seg = (a.segments || {})[o];
+        if (!seg) continue;
+
+        count += seg.count;
+        p95 += ((seg.percentiles || {}).p95 || 0) * seg.count;
+        responseBytes += seg.responseBytes || 0;
+
+        for (var code in a.statusCodes) {
+            if (+code >= 400) errors += ((a.statusCodes[code].segments || {})[o] || {}).count || 0;
+        }
+    }
+
+    return {
+        count: count,
+        errorRate: count ? (errors / count) * 100 : 0,
+        p95: count ? p95 / count : 0,
+        avgResponseBytes: count ? responseBytes / count : 0,
+        anomalies: anomalies
+    };
+}
+
+// Methods seen in the data, keeping the selected one
+function updateMethods(data) {
+    var methods = {};
+    if (state.method) methods[state.method] = true;
+    for (var k in data) methods[k.split(' ')[0]] = true;
+
+    $('#route-method').find('option:not(:first)').remove();
+    Object.keys(methods).sort().forEach(function (m) {
+        $('#route-method').append($('<option>').val(m).text(m));
+    });
+    $('#route-method').val(state.method);
+}
+
+// Filter, sort & render the route charts of the last data
+function renderRoutes() {
+    var data = window._data || {};
+    var q = state.q.toLowerCase();
+    var summaries = {};
+
+    var keys = Object.keys(data).filter(function (k) {
+        if (state.method && k.split(' ')[0] !== state.method) return false;
+        return !q || k.toLowerCase().indexOf(q) >= 0;
+    });
+
+    keys.forEach(function (k) { summaries[k] = routeSummary(k, data[k]); });
+
+    keys.sort(function (a, b) {
+        var field = SORTS[state.sort];
+        if (!field) return a < b ? -1 : a > b ? 1 : 0;
+        return (summaries[b][field] - summaries[a][field]) || (summaries[b].count - summaries[a].count);
+    });
+
+    $('.container > .charts').html('');
+    keys.slice(0, shown).forEach(function (k) { renderChart(k, data[k]); });
+    renderAllRequests();
+
+    $('#route-summary').text('Showing ' + Math.min(shown, keys.length) + ' of ' + keys.length + ' route(s)' + (keys.length < Object.keys(data).length ? ' (' + Object.keys(data).length + ' total)' : ''));
+    $('#show-more').toggle(keys.length > shown);
+    updateExportLinks();
+}
+
+// Download links for the routes shown (same method, search & time range) and the system metrics
+function updateExportLinks() {
+    if (!SLAM.paths.export) return;
+
+    var from = segmentToTs(tsToSegment() - (rangeSegments() - 1));
+    var routes = withHost({ resolution: resolution.segmentSize, from: from });
+
+    if (state.method) routes.method = state.method;
+    if (state.q) routes.q = state.q;
+
+    $('#export').removeClass('is-hidden');
+    $('#export-csv').attr('href', SLAM.paths.export + '?' + $.param($.extend({ format: 'csv' }, routes)));
+    $('#export-ndjson').attr('href', SLAM.paths.export + '?' + $.param($.extend({ format: 'ndjson' }, routes)));
+    $('#export-system').attr('href', SLAM.paths.export + '?' + $.param(withHost({ type: 'system', format: 'csv', from: from })));
+}
+
+function renderAllRequests() {
+    $('.container > .charts > .row').each(function () {
+        $(this).find('.requests').html('');
+        renderRequests($(this), requestsByKey[$(this).attr('data-k')] || []);
+    });
+}
+
+// Top clients over the selected time range, of every route or of the one searched for by its exact "METHOD route"
+function updateClients() {
+    if (!SLAM.paths.clients) return;
+
+    var since = segmentToTs(tsToSegment() - (rangeSegments() - 1));
+    var params = { resolution: resolution.segmentSize, since: since, limit: 10 };
+    if (window._data && window._data[state.q]) params.key = state.q;
+
+    $.get(SLAM.paths.clients, withHost(params), function (r) {
+        $('#clients').show();
+        $('#clients-range').text((params.key ? params.key + ', ' : '') + 'last ' + formatDuration(state.range) + ', ' + r.total.toLocaleString() + ' request(s)');
+        $('#clients-rows').html('');
+
+        if (!r.clients.length) $('#clients-rows').append($('<tr>').append($('<td colspan="6" class="text-muted">').text('No requests in this time range')));
+
+        r.clients.forEach(function (c) {
+            $('#clients-rows').append($('<tr>')
+                .toggleClass('table-warning', c.errorRate > 10)
+                .append($('<td>').text(c.client))
+                .append($('<td>').text(Math.round(c.count).toLocaleString() + (c.error ? ' (±' + Math.round(c.error).toLocaleString() + ')' : '')))
+                .append($('<td>').text(c.share + '%'))
+                .append($('<td>').text(Math.round(c.errors).toLocaleString()))
+                .append($('<td>').text(c.errorRate + '%'))
+                .append($('<td>').text(c.routes.map(function (route) { return route.key + ' (' + Math.round(route.count).toLocaleString() + ')'; }).join(', '))));
+        });
+    });
+}
+
+// Anomalies of every route, null if disabled or unavailable
+function getAnomalies() {
+    if (!SLAM.paths.anomalies) return $.Deferred().resolve(null);
+
+    return $.get(SLAM.paths.anomalies, withHost({ resolution: resolution.segmentSize }))
+        .then(null, function () { return null; });
+}
+
+function getData() {
+    if (SLAM.paths.counts) $.get(SLAM.paths.counts, withHost({ resolution: resolution.segmentSize }), function (t) {
+        getAnomalies().then(function (found) {
+            anomaliesByKey = {};
+            baselines = found ? found.baselines : {};
+
+            (found ? found.anomalies : []).forEach(function (x) {
+                var segments = anomaliesByKey[x.key] = anomaliesByKey[x.key] || {};
+                (segments[x.segment] = segments[x.segment] || []).push(x);
+            });
+
+            window._data = t;
+
+            updateMethods(t);
+            renderRoutes();
+            updateClients();
+        });
+
+        if (SLAM.paths.requests) $.get(SLAM.paths.requests, { limit: 1000 }, function (log) {
+            requestsByKey = {};
+
+            log.requests.forEach(function (e) {
+                (requestsByKey[e.key] = requestsByKey[e.key] || []).push(e);
+            });
+
+            renderAllRequests();
+        });
+    });
+}
+
+// Update both system metrics and API data
+function updateAll() {
+    updateSystemMetrics();
+    updateAlerts();
+    updateSlos();
+    getData();
+}
+
+function scheduleRefresh() {
+    clearInterval(refreshTimer);
+    if (state.refresh) refreshTimer = setInterval(updateAll, state.refresh);
+}
+
+function fillRanges() {
+    $('#time-range').html('');
+    rangeOptions().forEach(function (r) {
+        $('#time-range').append($('<option>').val(r).text('Last ' + formatDuration(r)));
+    });
+    $('#time-range').val(state.range);
+}
+
+$(document).ready(function () {
+    readState();
+
+    // Resolution picker, when rollups are configured
+    if (SLAM.resolutions.length > 1) {
+        SLAM.resolutions.forEach(function (r, i) {
+            $('#resolution').append($('<option>').val(i).text(formatDuration(r.segmentSize) + ' segments, last ' + formatDuration(r.retention)));
+        });
+
+        $('#resolution').val(SLAM.resolutions.indexOf(resolution)).show().on('change', function () {
+            resolution = SLAM.resolutions[+$(this).val()];
+            if (rangeOptions().indexOf(state.range) < 0) state.range = resolution.retention;
+
+            fillRanges();
+            writeState();
+            getData();
+        });
+    }
+
+    // Toolbar
+    fillRanges();
+    $('#route-search').val(state.q);
+    $('#route-sort').val(state.sort);
+
+    if (!$('#refresh option[value="' + state.refresh + '"]').length) {
+        $('#refresh').append($('<option>').val(state.refresh).text('Refresh every ' + formatDuration(state.refresh)));
+    }
+    $('#refresh').val(state.refresh);
+
+    // Re-render without fetching when only the view changes
+    function onChange(update) {
+        return function () {
+            update.call(this);
+            shown = PAGE_SIZE;
+            writeState();
+            renderRoutes();
+        };
+    }
+
+    var searchTimer = null;
+    $('#route-search').on('input', function () {
+        var input = this;
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(onChange(function () { state.q = input.value.trim(); updateClients(); }), 250);
+    });
+
+    $('#route-method').on('change', onChange(function () { state.method = this.value; }));
+    $('#route-sort').on('change', onChange(function () { state.sort = this.value; }));
+    $('#time-range').on('change', onChange(function () { state.range = +this.value; updateClients(); }));
+
+    $('#refresh').on('change', function () {
+        state.refresh = +this.value;
+        writeState();
+        scheduleRefresh();
+    });
+
+    $('#host').on('change', function () { selectHost(this.value); });
+
+    $('#show-more').on('click', function () {
+        shown += PAGE_SIZE;
+        renderRoutes();
+    });
+
+    scheduleRefresh();
+    startLive();
+
+    // Initial load
+    updateAll();
+});
@@ -0,0 +1,131 @@
+/**
+ * Statistics merged from several sources: the workers of a cluster, or the
+ * hosts pushing to a hub
+ *
+ * Sources report deltas, { tiers, baseTier, minSegments, system }: the counts
+ * recorded since their last report (in the global.slamCounts shape, one per
+ * resolution keyed by segment size), the segment size of their finest
+ * resolution, the oldest segment still kept per resolution, and their system
+ * metrics ({ metrics, current }). Both the combined counts and each source's
+ * own are kept.
+ */
+const routeStats = require('./route-stats');
+const runtime = require('./runtime');
+
+// Copy of target with the numeric fields of source added (timestamps keep the latest)
+function sumFields (target, source) {
+    const out = Object.assign({}, target);
+
+    Object.keys(source || {}).forEach(k => {
+        if (k === 'timestamp') out[k] = Math.max(out[k] || 0, source[k]);
+        else if (typeof source[k] === 'number') out[k] = (out[k] || 0) + source[k];
+        else if (out[k] === undefined) out[k] = source[k];
+    });
+
+    return out;
+}
+
+// Sum the system metrics of several sources, segment by segment (runtime metrics, see ./runtime, have their own rules)
+function combineSystems (systems) {
+    const metrics = { memory: {}, cpu: {} };
+    let current = { memory: {}, cpu: {}, heapLimit: 0, eventLoop: null, handles: null };
+
+    runtime.KINDS.forEach(kind => { metrics[kind] = {}; });
+
+    systems.forEach(system => {
+        Object.keys(metrics).forEach(kind => {
+            const segments = system.metrics[kind] || {};
+
+            Object.keys(segments).forEach(seg => {
+                metrics[kind][seg] = runtime.KINDS.indexOf(kind) >= 0
+                    ? runtime.combine(kind, metrics[kind][seg], segments[seg])
+                    : sumFields(metrics[kind][seg] || {}, segments[seg]);
+            });
+        });
+
+        current = {
+            memory: sumFields(current.memory, system.current.memory),
+            cpu: sumFields(current.cpu, system.current.cpu),
+            heapLimit: current.heapLimit + system.current.heapLimit,
+            eventLoop: runtime.combine('eventLoop', current.eventLoop, system.current.eventLoop),
+            handles: runtime.combine('handles', current.handles, system.current.handles)
+        };
+    });
+
+    return { metrics, current };
+}
+
+// Merge a delta into tiers of counts, dropping expired segments
+function applyDelta (tiers, msg) {
+    Object.keys(msg.tiers || {}).forEach(key => {
+        const counts = tiers[key] || (tiers[key] = {});
+
+        routeStats.mergeCounts(counts, msg.tiers[key]);
+
+        Object.keys(counts).forEach(method => routeStats.pruneRoute(counts[method], (msg.minSegments || {})[key]));
+    });
+}
+
+function createAggregator () {
+    const sources = {};  // id -> { id, info, lastSeen, baseTier, tiers, system }
+    const combined = {}; // segment size -> counts
+
+    return {
+        sources,
+        combined,
+
+        // Merge a source's delta, `info` is added to its summary, returns the source
+        apply: function (id, msg, info) {
+            const source = sources[id] || (sources[id] = { id, info: {}, tiers: {}, system: null });
+
+            source.lastSeen = Date.now();
+            Object.assign(source.info, info);
+
+            applyDelta(source.tiers, msg);
+            applyDelta(combined, msg);
+            if (msg.baseTier) source.baseTier = msg.baseTier;
+            if (msg.system) source.system = msg.system;
+
+            return source;
+        },
+
+        // A source leaves the breakdown, its requests stay in the combined counts
+        remove: function (id) {
+            delete sources[id];
+        },
+
+        // Short description of every source: { id, ...info, lastSeen, requests, memory }
+        summary: function () {
+            return Object.keys(sources).map(id => {
+                const s = sources[id];
+                const counts = s.tiers[s.baseTier] || {};
+                let requests = 0;
+
+                Object.keys(counts).forEach(method => { requests += counts[method].count; });
+
+                return Object.assign({ id: s.id }, s.info, {
+                    lastSeen: s.lastSeen,
+                    requests,
+                    memory: s.system ? s.system.current.memory : null
+                });
+            });
+        },
+
+        // Combined view, or a single source's view ({ notFound } if unknown), at a resolution (segment size)
+        viewOf: function (id, resolution) {
+            if (id !== undefined && id !== null && id !== '') {
+                const s = sources[id];
+                if (!s || !s.system) return { notFound: true };
+
+                return { counts: s.tiers[resolution] || {}, systemMetrics: s.system.metrics, current: s.system.current };
+            }
+
+            const live = Object.keys(sources).map(k => sources[k]).filter(s => s.system);
+            const system = combineSystems(live.map(s => s.system));
+
+            return { counts: combined[resolution] || {}, systemMetrics: system.metrics, current: system.current };
+        }
+    };
+}
+
+module.exports = { createAggregator, combineSystems, applyDelta };
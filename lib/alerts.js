@@ -0,0 +1,226 @@
+/**
+ * Alerting rules with cooldowns and hysteresis
+ *
+ * Rules are evaluated every `interval` ms. Route rules look at the current and
+ * previous segments of the finest resolution, so a segment that just started
+ * does not make alerts flap. Rule types:
+ *
+ *   errorRate     % of responses with a status >= minStatus, per route
+ *   latency       a percentile (p50/p90/p95/p99), avg or max duration in ms, per route
+ *   memoryGrowth  RSS growth ratio over the last 5 segments
+ *   load          1-minute load average per CPU core
+ *
+ * An alert fires when its value goes above `threshold`, and resolves once it
+ * falls below `clearThreshold`. Notifications for the same rule and route are
+ * sent at most once per `cooldown`.
+ *
+ * Rules see the statistics the dashboard shows: the combined counts in cluster
+ * mode, the fleet's on a hub. Every cluster worker then keeps the same alert
+ * state, but only one of them (`notify` in the view) calls onAlert and the
+ * webhook.
+ */
+const os = require('os');
+const histogram = require('./histogram');
+const postJson = require('./post-json');
+
+const HISTORY_SIZE = 100;
+const QUANTILES = { p50: 0.5, p90: 0.9, p95: 0.95, p99: 0.99 };
+const UNITS = { errorRate: '%', latency: 'ms', memoryGrowth: 'x', load: ' per core' };
+
+// Does a rule apply to a route key ("METHOD route")?
+function matchesRoute (rule, key) {
+    if (!rule.route) return true;
+    if (rule.route instanceof RegExp) return rule.route.test(key);
+    return rule.route === key;
+}
+
+// Stats entry of the given segments of a route, merged across status codes
+function windowOf (route, segments, minStatus) {
+    let count = 0;
+    let errors = 0;
+    let avg = 0;
+    let max = 0;
+    const merged = {};
+
+    segments.forEach(seg => {
+        const entry = route.segments && route.segments[seg];
+        if (!entry) return;
+
+        avg = ((avg * count) + (entry.avgDurationMs * entry.count)) / (count + entry.count);
+        max = Math.max(max, entry.maxDurationMs || 0);
+        count += entry.count;
+        histogram.merge(merged, entry.histogram || {});
+
+        Object.keys(route.statusCodes).forEach(code => {
+            const s = route.statusCodes[code].segments[seg];
+            if (s && +code >= minStatus) errors += s.count;
+        });
+    });
+
+    return { count, errors, avg, max, histogram: merged };
+}
+
+/**
+ * Start evaluating rules
+ *
+ * `alerts` is the normalized config: { rules, webhook, onAlert, interval }
+ * `sources` provides the data: { view(), segment(), hostname }, where view()
+ * resolves to { counts, systemMetrics, notify } at the finest resolution
+ */
+function createAlerts (alerts, sources) {
+    const state = {};   // rule name + target -> { active, since, value, notifiedAt, notified }
+    const history = [];
+
+    // Current values of a rule in a view: [{ target, value }]
+    function measure (rule, view) {
+        if (rule.type === 'errorRate' || rule.type === 'latency') {
+            const counts = view.counts;
+            const seg = sources.segment();
+
+            return Object.keys(counts).filter(key => matchesRoute(rule, key)).map(key => {
+                const w = windowOf(counts[key], [seg - 1, seg], rule.minStatus);
+                if (w.count < rule.minRequests) return null;
+
+                let value;
+                if (rule.type === 'errorRate') value = (w.errors / w.count) * 100;
+                else if (rule.percentile === 'avg') value = w.avg;
+                else if (rule.percentile === 'max') value = w.max;
+                else value = histogram.quantile(w.histogram, QUANTILES[rule.percentile], w.max);
+
+                return { target: key, value };
+            }).filter(Boolean);
+        }
+
+        if (rule.type === 'memoryGrowth') {
+            const memory = view.systemMetrics.memory || {};
+            const recent = Object.keys(memory).sort((a, b) => a - b).slice(-5).map(seg => memory[seg]);
+            if (recent.length < 3) return [];
+
+            return [{ target: 'process', value: recent[recent.length - 1].rss / recent[0].rss }];
+        }
+
+        if (rule.type === 'load') return [{ target: 'system', value: os.loadavg()[0] / os.cpus().length }];
+
+        return [];
+    }
+
+    // Record an event, and send it unless another process does (`deliver` false)
+    function notify (event, deliver) {
+        history.unshift(event);
+        if (history.length > HISTORY_SIZE) history.length = HISTORY_SIZE;
+
+        if (!deliver) return;
+
+        if (alerts.onAlert) {
+            try {
+                alerts.onAlert(event);
+            } catch(e) {
+                console.log('[Slam exception]', e);
+            }
+        }
+
+        if (alerts.webhook) {
+            postJson(alerts.webhook.url, { alert: event }, alerts.webhook.headers)
+                .catch(e => console.log('[Slam exception]', e.message));
+        }
+    }
+
+    function event (rule, s, status) {
+        const round = v => v === null ? null : Math.round(v * 100) / 100;
+        const what = s.target === 'process' || s.target === 'system' ? rule.type : `${ rule.type } of ${ s.target }`;
+
+        return {
+            rule: rule.name,
+            type: rule.type,
+            target: s.target,
+            status,
+            value: round(s.value),
+            threshold: rule.threshold,
+            since: s.since,
+            hostname: sources.hostname,
+            timestamp: Date.now(),
+            message: status === 'firing' ?
+                `${ what } is ${ round(s.value) }${ UNITS[rule.type] } (threshold ${ rule.threshold }${ UNITS[rule.type] })` :
+                `${ what } is back to normal`
+        };
+    }
+
+    // Apply hysteresis & cooldown to a new value (null: no data, e.g. no traffic)
+    function transition (rule, target, value, deliver) {
+        const key = `${ rule.name }\u0000${ target }`;
+        const s = state[key] || (state[key] = { rule: rule.name, target, active: false, notified: false, notifiedAt: 0 });
+        const now = Date.now();
+
+        s.value = value;
+
+        if (!s.active && value !== null && value > rule.threshold) {
+            s.active = true;
+            s.since = now;
+
+            if (now - s.notifiedAt >= rule.cooldown) {
+                s.notified = true;
+                s.notifiedAt = now;
+                notify(event(rule, s, 'firing'), deliver);
+            }
+        } else if (s.active && (value === null || value < rule.clearThreshold)) {
+            s.active = false;
+
+            if (s.notified) {
+                s.notified = false;
+                notify(event(rule, s, 'resolved'), deliver);
+            }
+        }
+    }
+
+    function evaluateView (view) {
+        alerts.rules.forEach(rule => {
+            try {
+                const seen = {};
+
+                measure(rule, view).forEach(m => {
+                    seen[m.target] = true;
+                    transition(rule, m.target, m.value, view.notify);
+                });
+
+                // Targets without data anymore resolve
+                Object.keys(state).forEach(key => {
+                    const s = state[key];
+                    if (s.rule === rule.name && s.active && !seen[s.target]) transition(rule, s.target, null, view.notify);
+                });
+            } catch(e) {
+                console.log('[Slam exception]', e);
+            }
+        });
+    }
+
+    // One evaluation at a time, a slow view (cluster query) skips a round
+    let evaluating = false;
+
+    function evaluate () {
+        if (evaluating) return;
+        evaluating = true;
+
+        Promise.resolve(sources.view())
+            .then(view => { if (view) evaluateView(view); })
+            .catch(e => console.log('[Slam exception]', e))
+            .then(() => { evaluating = false; });
+    }
+
+    // Active alerts, recent events and rules, for /slamAlerts
+    function status () {
+        return {
+            active: Object.keys(state).map(k => state[k]).filter(s => s.active).map(s => {
+                const rule = alerts.rules.find(r => r.name === s.rule);
+                return event(rule, s, 'firing');
+            }),
+            history,
+            rules: alerts.rules.map(r => Object.assign({}, r, { route: r.route ? String(r.route) : null }))
+        };
+    }
+
+    setInterval(evaluate, alerts.interval).unref();
+
+    return { evaluate, status };
+}
+
+module.exports = { createAlerts, QUANTILES };
@@ -0,0 +1,148 @@
+/**
+ * Anomalies: segments of a route that stray from the route's own history
+ *
+ * A baseline of each metric is learnt segment after segment, as exponentially
+ * weighted moving averages (EWMA) of its value and of its variance. A segment
+ * more than `threshold` standard deviations away from the baseline learnt
+ * before it is flagged:
+ *
+ *   count          requests in the segment, too many or too few
+ *   errorRate      % of 4xx & 5xx responses, too high
+ *   p95DurationMs  95th percentile response time, too high
+ *
+ * Error rates and latencies are only learnt from segments of at least
+ * `minCount` requests. Flagged values are clamped before they are learnt, so
+ * one spike does not hide the next, while a lasting change becomes the new
+ * baseline after a few segments. Nothing is flagged before `warmup` segments
+ * have been learnt.
+ */
+const histogram = require('./histogram');
+
+const METRICS = ['count', 'errorRate', 'p95DurationMs'];
+
+const round = v => Math.round(v * 100) / 100;
+
+// Smallest standard deviation of a metric, so steady routes are not flagged for noise
+const FLOORS = {
+    // Poisson noise
+    count: b => Math.max(Math.sqrt(b.mean), 1),
+
+    // Binomial noise of n requests, in % points (with a rate never quite 0 so that 1 error in 10 is no anomaly)
+    errorRate: (b, n) => {
+        const p = (b.mean / 100 * n + 1) / (n + 2);
+        return Math.max(100 * Math.sqrt(p * (1 - p) / n), 1);
+    },
+
+    p95DurationMs: b => Math.max(b.mean * 0.1, 1)
+};
+
+// Directions a metric is flagged in
+const DIRECTIONS = {
+    count: ['high', 'low'],
+    errorRate: ['high'],
+    p95DurationMs: ['high']
+};
+
+// Add a value to an EWMA baseline { n, mean, variance }
+function learn (b, x, alpha) {
+    if (!b.n) return Object.assign(b, { n: 1, mean: x, variance: 0 });
+
+    const diff = x - b.mean;
+    b.n++;
+    b.mean += alpha * diff;
+    b.variance = (1 - alpha) * (b.variance + alpha * diff * diff);
+    return b;
+}
+
+// Count, error rate & p95 of a segment of a route
+function segmentValues (route, seg) {
+    const entry = route.segments[seg];
+    let errors = 0;
+
+    Object.keys(route.statusCodes).forEach(code => {
+        if (+code >= 400) errors += ((route.statusCodes[code].segments || {})[seg] || {}).count || 0;
+    });
+
+    return {
+        count: entry ? entry.count : 0,
+        errorRate: entry && entry.count ? (errors / entry.count) * 100 : 0,
+        p95DurationMs: entry && entry.count ? histogram.percentiles(entry.histogram || {}, entry.maxDurationMs).p95 : 0
+    };
+}
+
+/**
+ * Baselines & anomalies of one route, up to the `current` segment (still
+ * filling up, so it is not learnt nor flagged for too few requests)
+ *   options: { current, threshold, alpha, warmup, minCount }
+ *
+ * Returns { baseline: { [metric]: { mean, std } | null }, anomalies: [{ segment, metric, value, expected, std, score, direction }] }
+ */
+function detect (route, options) {
+    const baselines = { count: {}, errorRate: {}, p95DurationMs: {} };
+    const anomalies = [];
+    const segments = Object.keys(route.segments).map(Number).filter(seg => seg <= options.current);
+    const first = Math.min.apply(null, segments);
+
+    // Segments without requests count as 0 requests, from the route's first segment on
+    for (let seg = first; segments.length && seg <= options.current; seg++) {
+        const values = segmentValues(route, seg);
+        const partial = seg === options.current;
+
+        METRICS.forEach(metric => {
+            const b = baselines[metric];
+            const x = values[metric];
+
+            if (metric !== 'count' && values.count < options.minCount) return;
+
+            let learnt = x;
+
+            if (b.n >= options.warmup) {
+                const std = Math.max(Math.sqrt(b.variance), FLOORS[metric](b, values.count));
+                const score = (x - b.mean) / std;
+                const direction = score > 0 ? 'high' : 'low';
+
+                if (Math.abs(score) > options.threshold && DIRECTIONS[metric].indexOf(direction) >= 0 && !(partial && direction === 'low')) {
+                    anomalies.push({ segment: seg, metric, value: round(x), expected: round(b.mean), std: round(std), score: round(score), direction });
+                }
+
+                learnt = Math.min(Math.max(x, b.mean - options.threshold * std), b.mean + options.threshold * std);
+            }
+
+            if (!partial) learn(b, learnt, options.alpha);
+        });
+    }
+
+    const baseline = {};
+    METRICS.forEach(metric => {
+        const b = baselines[metric];
+        baseline[metric] = b.n >= options.warmup ? { mean: round(b.mean), std: round(Math.sqrt(b.variance)) } : null;
+    });
+
+    return { baseline, anomalies };
+}
+
+/**
+ * Anomalies of every route of a counts object, or of some (`keys`), newest and strongest first
+ *   options: { keys, since (first segment reported), segmentSize, ...options of detect() }
+ *
+ * Returns { anomalies: [{ key, timestamp, ...anomaly }], baselines: { [key]: baseline } }
+ */
+function findAnomalies (counts, options) {
+    const out = [];
+    const baselines = {};
+
+    (options.keys || Object.keys(counts)).forEach(key => {
+        const result = detect(counts[key], options);
+
+        baselines[key] = result.baseline;
+        result.anomalies.forEach(a => {
+            if (a.segment >= options.since) out.push(Object.assign({ key, timestamp: a.segment * options.segmentSize }, a));
+        });
+    });
+
+    out.sort((a, b) => b.segment - a.segment || Math.abs(b.score) - Math.abs(a.score));
+
+    return { anomalies: out, baselines };
+}
+
+module.exports = { METRICS, detect, findAnomalies };
@@ -0,0 +1,46 @@
+/**
+ * Static files of the monitor page, served from the package itself
+ *
+ * Vendor libraries come from their npm packages, the page's own script and
+ * styles from ../dashboard. Files are read on first use and kept in memory,
+ * without remote @imports (web fonts) or source map comments, so the page
+ * never reaches out to another origin.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const FILES = {
+    'bootstrap.min.css': require.resolve('bootswatch/dist/zephyr/bootstrap.min.css'),
+    'jquery.min.js': require.resolve('jquery/dist/jquery.min.js'),
+    'frappe-charts.min.umd.js': require.resolve('frappe-charts/dist/frappe-charts.min.umd.js'),
+    'moment.min.js': require.resolve('moment/min/moment.min.js'),
+    'monitor.js': path.join(__dirname, '../dashboard/monitor.js'),
+    'monitor.css': path.join(__dirname, '../dashboard/monitor.css')
+};
+
+const TYPES = { '.js': 'application/javascript; charset=utf-8', '.css': 'text/css; charset=utf-8' };
+
+const cache = {};
+
+function load (name) {
+    if (!cache[name]) {
+        cache[name] = fs.readFileSync(FILES[name], 'utf8')
+            .replace(/@import\s+url\(\s*["']?https?:[^)]*\)[^;]*;/g, '')
+            .replace(/\n\/[/*][#@] sourceMappingURL=\S+(\s*\*\/)?\s*$/, '\n');
+    }
+
+    return cache[name];
+}
+
+// Express handler for `<monitor path>/assets/:file`, 404 for anything not listed above
+function serve (req, res) {
+    const name = req.params.file;
+    if (!Object.prototype.hasOwnProperty.call(FILES, name)) return res.status(404).json({ error: 'Not found' });
+
+    // URLs carry the package version, so files can be cached until the next upgrade
+    res.set('Content-Type', TYPES[path.extname(name)]);
+    res.set('Cache-Control', 'private, max-age=604800');
+    res.send(load(name));
+}
+
+module.exports = { FILES, serve };
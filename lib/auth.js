@@ -0,0 +1,141 @@
+/**
+ * Access control for the routes added by SLAM
+ *
+ * Checks run in this order:
+ *   1. IP allow-list (`allowIps`), 403 when the client IP does not match
+ *   2. credentials: HTTP basic auth (`basic`) or a bearer token (`bearer`),
+ *      either one is enough when both are configured, 401 otherwise
+ *   3. your own Express middleware (`middleware`), in order
+ */
+const crypto = require('crypto');
+const net = require('net');
+
+// Constant-time string comparison
+function safeEqual (a, b) {
+    const hash = v => crypto.createHash('sha256').update(String(v)).digest();
+    return crypto.timingSafeEqual(hash(a), hash(b));
+}
+
+// Remove the IPv4-mapped IPv6 prefix (::ffff:10.0.0.1)
+function normalizeIp (ip) {
+    return String(ip || '').replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/, '$1');
+}
+
+// Bytes of a valid IPv4 or IPv6 address
+function bytesOf (address) {
+    if (net.isIPv4(address)) return address.split('.').map(Number);
+
+    // Trailing IPv4 (::ffff:10.0.0.1) as two groups
+    address = address.replace(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/, (m, a, b, c, d) => ((a << 8) + +b).toString(16) + ':' + ((c << 8) + +d).toString(16));
+
+    const halves = address.split('::');
+    const groups = s => s ? s.split(':') : [];
+    const head = groups(halves[0]);
+    const tail = groups(halves[1]);
+    const all = head.concat(new Array(8 - head.length - tail.length).fill('0'), tail);
+
+    return all.reduce((bytes, g) => bytes.concat([parseInt(g, 16) >> 8, parseInt(g, 16) & 255]), []);
+}
+
+// Stand-in for net.BlockList (Node 15.0 and later, 14.18): addresses and subnets, checked by prefix
+function createBlockList () {
+    const rules = [];
+
+    return {
+        addAddress: function (address, type) {
+            rules.push({ type, bytes: bytesOf(address), prefix: type === 'ipv6' ? 128 : 32 });
+        },
+        addSubnet: function (address, prefix, type) {
+            rules.push({ type, bytes: bytesOf(address), prefix });
+        },
+        check: function (address, type) {
+            const bytes = bytesOf(address);
+
+            return rules.some(rule => {
+                if (rule.type !== type) return false;
+
+                for (let bit = 0; bit < rule.prefix; bit++) {
+                    const mask = 128 >> (bit % 8);
+                    if ((bytes[bit >> 3] & mask) !== (rule.bytes[bit >> 3] & mask)) return false;
+                }
+                return true;
+            });
+        }
+    };
+}
+
+// BlockList of allowed addresses and CIDR ranges
+function createAllowList (entries) {
+    const list = net.BlockList ? new net.BlockList() : createBlockList();
+
+    entries.forEach(entry => {
+        const parts = String(entry).trim().split('/');
+        const address = normalizeIp(parts[0]);
+        const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+
+        if (!net.isIP(address)) throw new TypeError(`[Slam] options.auth.allowIps: invalid address "${ entry }"`);
+        if (parts.length > 2 || (parts.length > 1 && !/^\d+$/.test(parts[1])) || +parts[1] > (type === 'ipv6' ? 128 : 32)) throw new TypeError(`[Slam] options.auth.allowIps: invalid prefix length "${ entry }"`);
+
+        if (parts.length > 1) list.addSubnet(address, +parts[1], type);
+        else list.addAddress(address, type);
+    });
+
+    return list;
+}
+
+// Credentials of an Authorization header: { scheme, username, password } or { scheme, token }
+function parseAuthorization (header) {
+    const match = String(header || '').match(/^(\w+)\s+(.+)$/);
+    if (!match) return null;
+
+    const scheme = match[1].toLowerCase();
+
+    if (scheme === 'basic') {
+        const decoded = Buffer.from(match[2], 'base64').toString();
+        const i = decoded.indexOf(':');
+        return i < 0 ? null : { scheme, username: decoded.slice(0, i), password: decoded.slice(i + 1) };
+    }
+
+    return { scheme, token: match[2].trim() };
+}
+
+/**
+ * Express middleware list enforcing an auth config
+ *   { basic: [{ username, password }], bearer: [token], allowIps: [ip or cidr], middleware: [fn] }
+ */
+function createGuard (auth) {
+    if (!auth) return [];
+
+    const allowList = auth.allowIps.length ? createAllowList(auth.allowIps) : null;
+    const needsCredentials = auth.basic.length || auth.bearer.length;
+
+    function guard (req, res, next) {
+        if (allowList) {
+            const ip = normalizeIp(req.ip || (req.socket && req.socket.remoteAddress));
+
+            if (!net.isIP(ip) || !allowList.check(ip, net.isIPv6(ip) ? 'ipv6' : 'ipv4')) {
+                return res.status(403).json({ error: 'Forbidden' });
+            }
+        }
+
+        if (needsCredentials) {
+            const credentials = parseAuthorization(req.headers.authorization);
+
+            const ok = credentials && (
+                (credentials.scheme === 'basic' && auth.basic.some(u => safeEqual(u.username, credentials.username) && safeEqual(u.password, credentials.password))) ||
+                (credentials.scheme === 'bearer' && auth.bearer.some(token => safeEqual(token, credentials.token)))
+            );
+
+            if (!ok) {
+                res.set('WWW-Authenticate', auth.basic.length ? 'Basic realm="SLAM", charset="UTF-8"' : 'Bearer realm="SLAM"');
+                return res.status(401).json({ error: 'Unauthorized' });
+            }
+        }
+
+        next();
+    }
+
+    return [guard].concat(auth.middleware);
+}
+
+module.exports = { createGuard, createAllowList, parseAuthorization, normalizeIp };
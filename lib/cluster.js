@@ -0,0 +1,187 @@
+/**
+ * Cross-worker aggregation for Node cluster mode
+ *
+ * Each worker ships the requests it recorded since its last report (counts
+ * deltas in the global.slamCounts shape, one per resolution, keyed by segment
+ * size) and its system metrics to the primary over the cluster IPC channel.
+ * The primary merges them, and answers workers' queries with the combined
+ * picture or with a single worker's view.
+ *
+ * With persistence, the primary has the first worker to say hello restore
+ * the snapshot into the combined counts (not into its own), and one live
+ * worker at a time, the writer, save the combined counts: the others save
+ * nothing. The writer is also the one worker sending alert notifications.
+ *
+ * Messages are plain objects tagged with `slam`:
+ *   worker -> primary   { slam: 'delta', tiers, minSegments, system }
+ *                       { slam: 'restore', tiers, minSegments }
+ *                       { slam: 'query', id, worker, resolution }
+ *   primary -> worker   { slam: 'ready', restore, writer }
+ *                       { slam: 'writer' }
+ *                       { slam: 'view', id, view }
+ */
+const cluster = require('cluster');
+const routeStats = require('./route-stats');
+const { createAggregator, combineSystems, applyDelta } = require('./aggregate');
+
+const QUERY_TIMEOUT = 1000;
+
+/**
+ * Primary side: call once in the primary process, before forking workers
+ */
+function setupPrimary () {
+    if (global.slamClusterPrimary) return global.slamClusterPrimary;
+
+    const aggregator = createAggregator(); // worker id -> its tiers & system metrics
+    let restorer = null; // worker told to restore the snapshot
+    let writer = null;   // worker saving snapshots
+
+    // Send to a worker, ignoring a channel closed by its exit (e.g. all workers killed at once)
+    function tell (worker, msg) {
+        if (worker.isConnected()) worker.send(msg, () => {});
+    }
+
+    // Combined view, or a single worker's view, at a resolution (segment size)
+    function viewOf (workerId, resolution) {
+        return Object.assign(aggregator.viewOf(workerId, resolution), { workers: aggregator.summary() });
+    }
+
+    cluster.on('message', function (worker, msg) {
+        if (!msg || !msg.slam) return;
+
+        try {
+            if (!aggregator.sources[worker.id]) {
+                if (!restorer) restorer = worker.id;
+                if (!writer) writer = worker.id;
+                tell(worker, { slam: 'ready', restore: restorer === worker.id, writer: writer === worker.id });
+            }
+
+            if (msg.slam === 'delta') aggregator.apply(worker.id, msg, { pid: worker.process.pid });
+
+            // Restored statistics belong to no worker
+            if (msg.slam === 'restore') applyDelta(aggregator.combined, msg);
+
+            if (msg.slam === 'query') tell(worker, { slam: 'view', id: msg.id, view: viewOf(msg.worker, msg.resolution) });
+        } catch(e) {
+            console.log('[Slam exception]', e);
+        }
+    });
+
+    // Dead workers leave the breakdown, their requests stay in the combined counts
+    cluster.on('exit', function (worker) {
+        aggregator.remove(worker.id);
+
+        // Another worker takes over saving snapshots
+        if (writer !== worker.id) return;
+
+        const next = Object.keys(aggregator.sources).map(id => cluster.workers[id]).find(w => w && w.isConnected());
+        writer = next ? next.id : null;
+        if (next) tell(next, { slam: 'writer' });
+    });
+
+    global.slamClusterPrimary = { workers: aggregator.sources, combined: aggregator.combined, viewOf };
+    return global.slamClusterPrimary;
+}
+
+/**
+ * Worker side: records deltas and reports them every `interval` ms
+ *
+ * `getSystem()` returns { metrics: { memory, cpu, eventLoop, gc, handles }, current: { memory, cpu, heapLimit, eventLoop, handles } }
+ * `minSegments()` returns the oldest segment still kept, keyed by segment size
+ * `baseTier` is the segment size of the finest resolution
+ */
+function startWorker (options) {
+    let pending = {};
+    let ready = false;
+    let writer = false;
+    let nextId = 0;
+    const queries = {};
+
+    // The primary's 'ready' message, or null when no primary answers (setupPrimary() not called)
+    let onReady = null;
+    const whenReady = new Promise(resolve => {
+        onReady = resolve;
+        setTimeout(() => resolve(null), QUERY_TIMEOUT).unref();
+    });
+
+    function send (msg) {
+        try {
+            if (process.connected) process.send(msg);
+            return process.connected;
+        } catch(e) {
+            return false;
+        }
+    }
+
+    function report () {
+        const tiers = pending;
+        pending = {};
+        send({ slam: 'delta', tiers, baseTier: options.baseTier, minSegments: options.minSegments(), system: options.getSystem() });
+    }
+
+    process.on('message', function (msg) {
+        if (!msg || !msg.slam) return;
+
+        if (msg.slam === 'ready') {
+            ready = true;
+            writer = !!msg.writer;
+            onReady(msg);
+        }
+
+        if (msg.slam === 'writer') writer = true;
+
+        if (msg.slam === 'view' && queries[msg.id]) queries[msg.id](msg.view);
+    });
+
+    // Say hello, the primary answers with 'ready' if setupPrimary() was called
+    report();
+    setInterval(report, options.interval).unref();
+
+    return {
+        // Record a request in the pending delta of a resolution, returns its route
+        record: function (resolution, method, statusCode, segment, ms, sizes, weight) {
+            if (!pending[resolution]) pending[resolution] = {};
+            return routeStats.recordRequest(pending[resolution], method, statusCode, segment, ms, sizes, weight);
+        },
+
+        // Resolves to { restore, writer } once the primary answers, null without a primary
+        whenReady: function () {
+            return whenReady;
+        },
+
+        // Whether this worker saves the combined snapshots (and sends alert notifications)
+        isWriter: function () {
+            return writer;
+        },
+
+        // Merge restored counts (one per resolution, keyed by segment size) into the combined counts only
+        restore: function (tiers) {
+            send({ slam: 'restore', tiers, minSegments: options.minSegments() });
+        },
+
+        // Ask the primary for the combined view (or one worker's), resolves to null if unavailable
+        query: function (workerId, resolution) {
+            if (!ready) return Promise.resolve(null);
+
+            return new Promise(resolve => {
+                const id = ++nextId;
+                const timer = setTimeout(() => {
+                    delete queries[id];
+                    resolve(null);
+                }, QUERY_TIMEOUT);
+
+                queries[id] = view => {
+                    clearTimeout(timer);
+                    delete queries[id];
+                    resolve(view);
+                };
+
+                // Flush our own delta first, so the answer includes it
+                report();
+                if (!send({ slam: 'query', id, worker: workerId, resolution })) queries[id](null);
+            });
+        }
+    };
+}
+
+module.exports = { setupPrimary, startWorker, combineSystems };
@@ -0,0 +1,1265 @@
+/**
+ * Recording & aggregation core, independent of the HTTP framework
+ *
+ * createCore(options) returns { config, track, routes, match, flush }:
+ *
+ *   track(req, res, routeOf)  measures a request until its response is sent.
+ *                             `req` is the framework's request (Express-shaped:
+ *                             method, url, headers, and query, params, body &
+ *                             ip when known), `res` the Node.js ServerResponse,
+ *                             and routeOf() the route template that matched
+ *                             ('/users/:id'), or null when none did
+ *   routes                    the module's own routes, [{ method, path, stack, handle }]:
+ *                             `stack` is a list of Express-style handlers,
+ *                             `handle(req, res)` runs them on a request &
+ *                             response decorated by ./http-helpers
+ *   match(method, url)        the own route of a request, { route, params } or null
+ *   flush()                   saves a snapshot now, when persistence is on (a promise)
+ *
+ * Adapters (./express, ./fastify, ./koa, ./node-http) plug it into a framework.
+ */
+const slamCluster = require('./cluster');
+const { resolveOptions, parseDuration } = require('./options');
+const { chain, createRouter } = require('./http-helpers');
+
+// Whether an instance already keeps its statistics in the globals
+let globalsTaken = false;
+
+function createCore (options) {
+    const process = require('process');
+    const os = require('os');
+    const v8 = require('v8');
+    const crypto = require('crypto');
+    const routeStats = require('./route-stats');
+    const storage = require('./storage');
+    const prometheus = require('./prometheus');
+    const auth = require('./auth');
+    const alerts = require('./alerts');
+    const { createRequestLog } = require('./request-log');
+    const { createLive } = require('./live');
+    const schema = require('./schema');
+    const openapi = require('./openapi');
+    const { createUnmatched } = require('./unmatched');
+    const { createFilter, globMatcher } = require('./filters');
+    const clients = require('./clients');
+    const exporter = require('./export');
+    const anomalies = require('./anomalies');
+    const slo = require('./slo');
+    const runtime = require('./runtime');
+    const hub = require('./hub');
+    const assets = require('./assets');
+    const { version } = require('../package.json');
+    const cluster = require('cluster');
+
+    // Validated options, with SLAM_* env vars as fallback
+    const config = resolveOptions(options);
+
+    // Helper functions (moved to top level)
+    // Javascript timestamp to compressed segment (of the finest resolution by default)
+    function tsToSegment (ts, segmentSize) {
+        if (!ts) ts = + new Date();
+        return Math.floor(ts / (segmentSize || config.segmentSize));
+    }
+
+    // Compressed segment to Javascript timestamp
+    function segmentToTs (seg, segmentSize) {
+        return seg * (segmentSize || config.segmentSize);
+    }
+
+    // Oldest segment still within the retention window of a resolution
+    function minSegment (resolution) {
+        resolution = resolution || config.resolutions[0];
+        return tsToSegment(null, resolution.segmentSize) - (resolution.segments - 1);
+    }
+
+    // Oldest segment still kept, for every resolution (keyed by segment size)
+    function minSegments () {
+        let out = {};
+        config.resolutions.forEach(r => { out[r.segmentSize] = minSegment(r); });
+        return out;
+    }
+
+    // Where this instance keeps its statistics: the first one set up in the process in the documented
+    // globals (global.slamCounts, global.slamRollups & global.slamSystemMetrics), later ones (other apps,
+    // maybe with other segment sizes) in their own object
+    const state = globalsTaken ? {} : global;
+    globalsTaken = true;
+
+    // Counts of a resolution: slamCounts for the finest, slamRollups for coarser ones
+    if (!state.slamRollups) state.slamRollups = {};
+
+    function countsOf (resolution) {
+        if (resolution === config.resolutions[0]) return state.slamCounts || (state.slamCounts = {});
+        return state.slamRollups[resolution.segmentSize] || (state.slamRollups[resolution.segmentSize] = {});
+    }
+
+    // Kinds of system metrics, each keyed by segment
+    const SYSTEM_KINDS = ['memory', 'cpu'].concat(runtime.KINDS);
+
+    // Initialize system metrics storage
+    if (!state.slamSystemMetrics) {
+        state.slamSystemMetrics = {
+            memory: {},
+            cpu: {},
+            lastCpuUsage: process.cpuUsage()
+        };
+    }
+
+    SYSTEM_KINDS.forEach(kind => {
+        if (!state.slamSystemMetrics[kind]) state.slamSystemMetrics[kind] = {};
+    });
+
+    // Per-segment system metrics, without the bookkeeping
+    function systemSegments () {
+        let out = {};
+        SYSTEM_KINDS.forEach(kind => { out[kind] = state.slamSystemMetrics[kind]; });
+        return out;
+    }
+
+    // Function to collect system metrics
+    function collectSystemMetrics() {
+        const timeSegment = tsToSegment();
+        const memUsage = process.memoryUsage();
+        const cpuUsage = process.cpuUsage();
+        
+        // Calculate CPU percentage since last measurement
+        const cpuPercent = state.slamSystemMetrics.lastCpuUsage ? 
+            ((cpuUsage.user - state.slamSystemMetrics.lastCpuUsage.user) + 
+             (cpuUsage.system - state.slamSystemMetrics.lastCpuUsage.system)) / 1000000 : 0;
+        
+        state.slamSystemMetrics.lastCpuUsage = cpuUsage;
+
+        // Store memory metrics
+        if (!state.slamSystemMetrics.memory[timeSegment]) {
+            state.slamSystemMetrics.memory[timeSegment] = {
+                rss: memUsage.rss,
+                heapUsed: memUsage.heapUsed,
+                heapTotal: memUsage.heapTotal,
+                external: memUsage.external,
+                arrayBuffers: memUsage.arrayBuffers || 0,
+                timestamp: Date.now()
+            };
+        }
+
+        // Store CPU metrics
+        if (!state.slamSystemMetrics.cpu[timeSegment]) {
+            state.slamSystemMetrics.cpu[timeSegment] = {
+                user: cpuUsage.user,
+                system: cpuUsage.system,
+                percent: cpuPercent,
+                loadAverage: os.loadavg(),
+                timestamp: Date.now()
+            };
+        }
+
+        // Cleanup segments older than the retention window
+        const oldest = minSegment();
+        SYSTEM_KINDS.forEach(kind => {
+            Object.keys(state.slamSystemMetrics[kind]).forEach(seg => {
+                if (parseInt(seg) < oldest) {
+                    delete state.slamSystemMetrics[kind][seg];
+                }
+            });
+        });
+    }
+
+    // Sample system & runtime metrics on a timer, so they are recorded without traffic too
+    // (the runtime is sampled once per process, and every instance records the sample in its own segments)
+    if (!global.slamRuntime) {
+        const sampler = global.slamRuntime = Object.assign(runtime.createRuntime(), { listeners: [] });
+
+        setInterval(function () {
+            const sample = sampler.sample();
+
+            sampler.listeners.forEach(listener => {
+                try {
+                    listener(sample);
+                } catch(e) {
+                    console.log('[Slam exception]', e);
+                }
+            });
+        }, config.systemInterval).unref();
+    }
+
+    global.slamRuntime.listeners.push(function (sample) {
+        collectSystemMetrics();
+        runtime.record(state.slamSystemMetrics, tsToSegment(), sample);
+    });
+
+    // Include/exclude rules and sampling rates
+    const filter = createFilter(config);
+
+    // Client key of a request, when the per-client breakdown is enabled
+    const clientOf = config.clients ? clients.createClientKey(config.clients) : null;
+
+    // Route names of requests no Express route matched
+    const unmatched = config.unmatched ? createUnmatched(config.unmatched) : null;
+
+    // Persistence (optional): reload the last snapshot on startup, then flush periodically (see below)
+    let store = config.storage;
+    if (!store && config.storagePath) store = storage.fileStore(config.storagePath);
+
+    // Snapshot of statistics, as saved by the store
+    function snapshotOf (counts, rollups, systemMetrics) {
+        return { version: storage.SNAPSHOT_VERSION, savedAt: Date.now(), counts, rollups, systemMetrics };
+    }
+
+    // Save a snapshot of the statistics: in cluster mode, the writer worker saves the combined
+    // statistics and the other workers nothing (see ./cluster), else this process saves its own
+    function flush () {
+        if (!store) return Promise.resolve();
+
+        return Promise.resolve()
+            .then(() => clusterWorker ? clusterWorker.whenReady() : null)
+            .then(primary => {
+                if (!primary) return snapshotOf(state.slamCounts || {}, state.slamRollups, systemSegments());
+                if (!clusterWorker.isWriter()) return null;
+
+                return Promise.all(config.resolutions.map(r => clusterWorker.query(null, r.segmentSize))).then(views => {
+                    // Keep the last snapshot rather than save part of the picture
+                    if (views.some(view => !view)) return null;
+
+                    let rollups = {};
+                    views.slice(1).forEach((view, i) => { rollups[config.resolutions[i + 1].segmentSize] = view.counts; });
+                    return snapshotOf(views[0].counts, rollups, views[0].systemMetrics);
+                });
+            })
+            .then(snapshot => snapshot && store.save(snapshot))
+            .catch(e => console.log('[Slam exception]', e));
+    }
+
+    // Merge a saved snapshot into the live statistics, skipping expired segments. In cluster mode
+    // (`primary` set) its counts go to the primary's combined counts, as no worker's own requests
+    function restore (snapshot, primary) {
+        if (!snapshot || snapshot.version !== storage.SNAPSHOT_VERSION) return;
+
+        const oldest = minSegment();
+        const savedCounts = (resolution, i) => (i === 0 ? snapshot.counts : (snapshot.rollups || {})[resolution.segmentSize]) || {};
+
+        if (primary) {
+            let tiers = {};
+            config.resolutions.forEach((resolution, i) => { tiers[resolution.segmentSize] = savedCounts(resolution, i); });
+            clusterWorker.restore(tiers);
+        } else {
+            config.resolutions.forEach((resolution, i) => {
+                const counts = countsOf(resolution);
+
+                routeStats.mergeCounts(counts, savedCounts(resolution, i));
+                Object.keys(counts).forEach(method => routeStats.pruneRoute(counts[method], minSegment(resolution)));
+            });
+        }
+
+        if (unmatched) unmatched.remember(Object.keys(snapshot.counts || {}));
+
+        SYSTEM_KINDS.forEach(kind => {
+            const saved = (snapshot.systemMetrics || {})[kind] || {};
+
+            Object.keys(saved).forEach(seg => {
+                if (seg >= oldest && !state.slamSystemMetrics[kind][seg]) state.slamSystemMetrics[kind][seg] = saved[seg];
+            });
+        });
+    }
+
+    // Current memory, CPU usage, V8 heap limit, and last event-loop delay & handles of this process
+    function currentSystem () {
+        const last = global.slamRuntime.last();
+
+        return {
+            memory: process.memoryUsage(),
+            cpu: process.cpuUsage(),
+            heapLimit: v8.getHeapStatistics().heap_size_limit,
+            eventLoop: last ? last.eventLoop : null,
+            handles: last ? last.handles : null
+        };
+    }
+
+    // Cluster mode: workers ship their deltas to the primary (see setupPrimary)
+    let clusterWorker = null;
+
+    // System metrics of this process, as shipped to the cluster primary or the hub
+    function systemSnapshot () {
+        return { metrics: systemSegments(), current: currentSystem() };
+    }
+
+    if (config.cluster && cluster.isWorker) {
+        clusterWorker = slamCluster.startWorker({
+            interval: config.clusterInterval,
+            baseTier: config.segmentSize,
+            minSegments: minSegments,
+            getSystem: systemSnapshot
+        });
+    }
+
+    // Reload the last snapshot (in cluster mode, a single worker does), then save one periodically
+    if (store) {
+        Promise.resolve()
+            .then(() => clusterWorker ? clusterWorker.whenReady() : null)
+            .then(primary => {
+                if (primary && !primary.restore) return;
+                return Promise.resolve(store.load()).then(snapshot => restore(snapshot, primary));
+            })
+            .catch(e => console.log('[Slam exception]', e))
+            .then(() => setInterval(flush, config.storageInterval).unref());
+    }
+
+    // Health of this process, as pushed to the hub for its table of hosts
+    function healthSummary () {
+        const h = computeHealth({ counts: countsOf(config.resolutions[0]), systemMetrics: state.slamSystemMetrics, current: currentSystem() });
+        const issues = [];
+
+        if (h.health.memoryPressure) issues.push(h.system.memory.memoryPressureReason);
+        if (h.health.highErrorRate) issues.push('High error rate');
+        if (h.health.highLoad) issues.push('High CPU load');
+        if (h.health.highEventLoopLag) issues.push(`Event loop blocked (p99 ${ h.system.eventLoop.p99 } ms)`);
+
+        return {
+            status: h.health.status,
+            issues,
+            errorRate: h.api.errorRate,
+            avgResponseTime: h.api.avgResponseTime,
+            eventLoop: h.system.eventLoop,
+            loadAverage: h.system.cpu.loadAverage,
+            uptime: h.system.uptime
+        };
+    }
+
+    // Hub mode (optional): merge the deltas other instances push, and this app's own requests
+    const hubServer = config.hub ? hub.createHub(config.hub) : null;
+
+    const pushSource = {
+        hostname: config.hostname,
+        version,
+        baseTier: config.segmentSize,
+        minSegments: minSegments,
+        getSystem: systemSnapshot,
+        getHealth: healthSummary
+    };
+
+    const selfPusher = hubServer ? hub.startPusher(Object.assign({ interval: config.hub.interval, deliver: msg => hubServer.ingest(msg) }, pushSource)) : null;
+
+    // Push this app's deltas to a hub (optional)
+    const pusher = config.push ? hub.startPusher(Object.assign({}, config.push, pushSource)) : null;
+
+    // Where each request is recorded besides this process' counts: deltas for the cluster primary & hubs
+    const deltas = [clusterWorker, selfPusher, pusher].filter(Boolean);
+
+    // Resolution asked for with ?resolution= (e.g. 1h), the finest by default, null if unknown
+    function resolutionOf (req) {
+        const value = req.query && req.query.resolution;
+        if (!value) return config.resolutions[0];
+
+        try {
+            const segmentSize = parseDuration(value, 'resolution');
+            return config.resolutions.find(r => r.segmentSize === segmentSize) || null;
+        } catch(e) {
+            return null;
+        }
+    }
+
+    // Statistics to answer with: the fleet's (or one host's) on a hub, combined across cluster workers when possible, else this process
+    function getView (req, resolution) {
+        if (hubServer) return selfPusher.push().then(() => hubServer.viewOf(req.query && req.query.host, resolution.segmentSize));
+
+        const local = { counts: countsOf(resolution), systemMetrics: state.slamSystemMetrics, current: currentSystem() };
+        if (!clusterWorker) return Promise.resolve(local);
+
+        return clusterWorker.query(req.query && req.query.worker, resolution.segmentSize).then(view => view || local);
+    }
+
+    // Send a view, or a 4xx for an unknown resolution or worker
+    function withView (handler) {
+        return function (req, res) {
+            const resolution = resolutionOf(req);
+
+            if (!resolution) {
+                return res.status(400).json({
+                    error: 'Unknown resolution',
+                    resolutions: config.resolutions.map(r => ({ segmentSize: r.segmentSize, retention: r.retention }))
+                });
+            }
+
+            getView(req, resolution)
+                .then(view => {
+                    if (view.notFound) return res.status(404).json({ error: view.error || 'Unknown worker', workers: view.workers, hosts: view.hosts });
+                    view.resolution = resolution;
+                    handler(req, res, view);
+                })
+                .catch(e => {
+                    console.log('[Slam exception]', e);
+                    res.sendStatus(500);
+                });
+        };
+    }
+
+    // Generate a random (v4) UUID
+    function uuidv4 () {
+        if (crypto.randomUUID) return crypto.randomUUID();
+
+        const b = crypto.randomBytes(16);
+        b[6] = (b[6] & 0x0f) | 0x40;
+        b[8] = (b[8] & 0x3f) | 0x80;
+
+        const h = b.toString('hex');
+        return `${ h.slice(0, 8) }-${ h.slice(8, 12) }-${ h.slice(12, 16) }-${ h.slice(16, 20) }-${ h.slice(20) }`;
+    }
+
+    // Request ID: the incoming header when trusted and well-formed, else a new UUID
+    function requestIdOf (req) {
+        const header = config.requestId.header;
+        const incoming = header && config.requestId.trustIncoming ? req.headers[header.toLowerCase()] : null;
+
+        if (typeof incoming === 'string' && /^[\w\-.:@=+/]{1,200}$/.test(incoming)) return incoming;
+        return uuidv4();
+    }
+
+    // Request body size: Content-Length, else the size of the parsed body (chunked uploads)
+    function requestBytesOf (req) {
+        const length = parseInt(req.headers['content-length'], 10);
+        if (length >= 0) return length;
+
+        const body = req.body;
+        if (Buffer.isBuffer(body)) return body.length;
+        if (typeof body === 'string') return Buffer.byteLength(body);
+        if (body && typeof body === 'object' && Object.keys(body).length) return Buffer.byteLength(JSON.stringify(body));
+        return 0;
+    }
+
+    // Measure a request until its response is sent
+    function track (req, res, routeOf) {
+        if (!state.slamCounts) state.slamCounts = {}; // Create if not exists
+
+        try {
+            // Setup
+            const time = process.hrtime();
+            const NS_PER_SEC = 1e9;
+            const NS_TO_MS = 1e6;
+
+            // Collect system metrics on each request
+            collectSystemMetrics();
+
+            // Get route name: the framework's route template, else a pattern of the path
+            let matched = false;
+
+            function getRoute (req) {
+                const route = routeOf();
+                matched = !!route;
+                if (route) return route;
+                return unmatched ? unmatched.routeOf(req) : 'unknown route';
+            }
+
+            // Request ID, exposed on req and sent back in the response headers
+            const requestId = requestIdOf(req);
+            req.requestId = requestId;
+            if (config.requestId.header && config.requestId.responseHeader) res.setHeader(config.requestId.header, requestId);
+
+            res.slam = { uuid: requestId, timestamp: (+ new Date()), timeSegment: tsToSegment() };
+            res.slam.hostname = config.hostname;
+
+            // Count the response body bytes as they are written
+            let responseBytes = 0;
+            const write = res.write;
+            const end = res.end;
+
+            function countBytes (chunk, encoding) {
+                if (typeof chunk === 'string') responseBytes += Buffer.byteLength(chunk, Buffer.isEncoding(encoding) ? encoding : 'utf8');
+                else if (chunk && typeof chunk.length === 'number') responseBytes += chunk.length;
+            }
+
+            res.write = function (chunk, encoding) {
+                countBytes(chunk, encoding);
+                return write.apply(this, arguments);
+            };
+
+            res.end = function (chunk, encoding) {
+                countBytes(chunk, encoding);
+                return end.apply(this, arguments);
+            };
+
+            function log () {
+                if (res.slam && res.slam.logged) return;
+                if (res.slam) res.slam.logged = true;
+                var obj = res.slam;
+
+                // Long-lived connections (the live stream) are not requests to measure
+                if (obj.untracked) return;
+
+                // Check request duration
+                const diff = process.hrtime(time);
+                const ms = (diff[0] * NS_PER_SEC + diff[1]) / NS_TO_MS;
+
+                // Store request
+                res.slam.method = `${ req.method } ${ getRoute(req) }`;
+                res.slam.statusCode = res.statusCode;
+                res.slam.finished = res.finished;
+                res.slam.durationMs = ms;
+                res.slam.requestBytes = requestBytesOf(req);
+                res.slam.responseBytes = responseBytes;
+
+                // Excluded routes (and the module's own, unless tracked) are not recorded at all
+                if (!filter.includes(req, obj)) return;
+
+                // Log long requests
+                if (config.logLongRequests && obj.durationMs > config.thresholds.longRequestMs) console.log('Long request:', obj.method, obj.durationMs);
+
+                // Logging enabled
+                if (config.debug) console.log(res.slam);
+
+                // Keep slow & failed requests for drill-down
+                if (requestLog) requestLog.record(req, obj);
+
+                // Sampled out, else the number of requests this one stands for
+                var weight = filter.weightOf(req, obj);
+                if (!weight) return;
+
+                // Per-second aggregates for the live stream
+                if (live) live.record(obj, weight);
+
+                // Keys & types of the params, query and body, accumulated in the route's schema (not for unmatched requests, whose keys are anyone's guess)
+                var observed = matched ? schema.observeRequest(req, obj.timestamp) : null;
+
+                var sizes = { requestBytes: obj.requestBytes, responseBytes: obj.responseBytes };
+
+                // Who sent it (API key, user, IP...)
+                var client = clientOf ? clientOf(req) : null;
+                var failed = obj.statusCode >= 400;
+
+                // Increment counts, avg, max & percentile request duration and payload sizes, at every resolution
+                config.resolutions.forEach(function (resolution, i) {
+                    var segment = i === 0 ? obj.timeSegment : tsToSegment(obj.timestamp, resolution.segmentSize);
+                    var route = routeStats.recordRequest(countsOf(resolution), obj.method, obj.statusCode, segment, obj.durationMs, sizes, weight);
+
+                    // Cleanup segments older than the retention window
+                    routeStats.pruneRoute(route, minSegment(resolution));
+                    if (i === 0 && observed) route.schema = schema.mergeSchema(route.schema || schema.createSchema(), observed);
+                    if (client) routeStats.recordClient(route, segment, client, failed, weight, config.clients.capacity);
+
+                    // Add to the deltas for the cluster primary & hubs
+                    deltas.forEach(function (delta) {
+                        var pending = delta.record(resolution.segmentSize, obj.method, obj.statusCode, segment, obj.durationMs, sizes, weight);
+                        if (i === 0 && observed) pending.schema = schema.mergeSchema(pending.schema || schema.createSchema(), observed);
+                        if (client) routeStats.recordClient(pending, segment, client, failed, weight, config.clients.capacity);
+                    });
+                });
+            }
+
+            res.on('finish', log);
+            res.on('close', log);
+
+        } catch(e) {
+            console.log('[Slam exception]', e);
+        }
+    }
+
+    // Alerting (optional): rules evaluated on the finest resolution of the statistics the dashboard shows
+    // (the fleet's on a hub, combined across cluster workers), notifications sent by the cluster writer only
+    const alertEngine = config.alerts ? alerts.createAlerts(config.alerts, {
+        view: () => Promise.resolve(clusterWorker ? clusterWorker.whenReady() : null).then(primary => {
+            return getView({ query: {} }, config.resolutions[0]).then(view => Object.assign({ notify: !primary || clusterWorker.isWriter() }, view));
+        }),
+        segment: () => tsToSegment(),
+        hostname: config.hostname
+    }) : null;
+
+    // Recent slow & failed requests (optional)
+    const requestLog = config.requestLog ? createRequestLog({
+        size: config.requestLog.size,
+        minStatus: config.requestLog.minStatus,
+        slowMs: config.thresholds.longRequestMs
+    }) : null;
+
+    // Live per-second aggregates, streamed to the dashboard
+    const live = config.paths.live ? createLive() : null;
+
+    // Access control applied to every route the module adds
+    const guard = auth.createGuard(config.auth);
+
+    // The module's own routes, each behind markOwn & the access control
+    const routes = [];
+
+    function mount (method, path, handler) {
+        const stack = [markOwn].concat(guard, handler);
+        routes.push({ method, path, stack, handle: chain(stack) });
+    }
+
+    // Register one of the module's routes, unless its path is disabled
+    function addRoute (name, handler) {
+        if (config.paths[name]) mount('GET', config.paths[name], handler);
+    }
+
+    // Flag requests to the module's routes, left out of the statistics unless trackOwnRoutes is set
+    function markOwn (req, res, next) {
+        if (res.slam) res.slam.own = true;
+        next();
+    }
+
+    // Return the raw counts and stats (Now sorted in a non-compliant way)
+    addRoute('counts', withView(function (req, res, view) {
+        let counts = view.counts;
+
+        // Convert object to array of objects
+        const arr = Object.entries(counts).map(([key, value]) => ({ key, ...routeStats.summarizeRoute(value) }));
+        arr.sort((a, b) => b.count - a.count);
+
+        let sortedObject = {};
+
+        arr.forEach(o => {
+            sortedObject[o.key] = o;
+        });
+
+        res.json(sortedObject);
+    }));
+
+    // Return system metrics (memory and CPU)
+    addRoute('systemMetrics', withView(function (req, res, view) {
+        const metrics = view.systemMetrics || { memory: {}, cpu: {} };
+        
+        // Get current system info
+        const currentMemory = view.current.memory;
+        const currentCpu = view.current.cpu;
+        const loadAvg = os.loadavg();
+        
+        // Calculate memory usage percentages and trends
+        const memoryTrend = Object.keys(metrics.memory).sort().slice(-5).map(seg => ({
+            segment: parseInt(seg),
+            timestamp: metrics.memory[seg].timestamp,
+            rss: Math.round(metrics.memory[seg].rss / 1024 / 1024), // MB
+            heapUsed: Math.round(metrics.memory[seg].heapUsed / 1024 / 1024), // MB
+            heapTotal: Math.round(metrics.memory[seg].heapTotal / 1024 / 1024), // MB
+            external: Math.round(metrics.memory[seg].external / 1024 / 1024), // MB
+        }));
+
+        const cpuTrend = Object.keys(metrics.cpu).sort().slice(-5).map(seg => ({
+            segment: parseInt(seg),
+            timestamp: metrics.cpu[seg].timestamp,
+            userTime: Math.round(metrics.cpu[seg].user / 1000), // ms
+            systemTime: Math.round(metrics.cpu[seg].system / 1000), // ms
+            percent: Math.round(metrics.cpu[seg].percent * 100) / 100,
+            loadAverage: metrics.cpu[seg].loadAverage
+        }));
+
+        // Event-loop delay (ms), GC pauses and active handles, sampled on a timer
+        const eventLoopTrend = Object.keys(metrics.eventLoop || {}).sort().slice(-5).map(seg => Object.assign({
+            segment: parseInt(seg),
+            timestamp: segmentToTs(seg)
+        }, metrics.eventLoop[seg]));
+
+        const gcTrend = Object.keys(metrics.gc || {}).sort().slice(-5).map(seg => {
+            const kinds = metrics.gc[seg];
+            let count = 0, durationMs = 0, maxMs = 0;
+
+            Object.keys(kinds).forEach(kind => {
+                count += kinds[kind].count;
+                durationMs += kinds[kind].durationMs;
+                maxMs = Math.max(maxMs, kinds[kind].maxMs);
+            });
+
+            return { segment: parseInt(seg), timestamp: segmentToTs(seg), count, durationMs: Math.round(durationMs * 100) / 100, maxMs, kinds };
+        });
+
+        const handlesTrend = Object.keys(metrics.handles || {}).sort().slice(-5).map(seg => Object.assign({
+            segment: parseInt(seg),
+            timestamp: segmentToTs(seg)
+        }, metrics.handles[seg]));
+
+        res.json({
+            current: {
+                memory: {
+                    rss: Math.round(currentMemory.rss / 1024 / 1024), // MB
+                    heapUsed: Math.round(currentMemory.heapUsed / 1024 / 1024), // MB
+                    heapTotal: Math.round(currentMemory.heapTotal / 1024 / 1024), // MB
+                    external: Math.round(currentMemory.external / 1024 / 1024), // MB
+                    heapUtilization: Math.round((currentMemory.heapUsed / currentMemory.heapTotal) * 100)
+                },
+                cpu: {
+                    userTime: Math.round(currentCpu.user / 1000), // ms
+                    systemTime: Math.round(currentCpu.system / 1000), // ms
+                    loadAverage: loadAvg,
+                    cores: os.cpus().length
+                },
+                eventLoop: view.current.eventLoop || null,
+                handles: view.current.handles || null,
+                system: {
+                    uptime: Math.round(process.uptime()),
+                    platform: os.platform(),
+                    arch: os.arch(),
+                    nodeVersion: process.version,
+                    hostname: os.hostname()
+                }
+            },
+            trends: {
+                memory: memoryTrend,
+                cpu: cpuTrend,
+                eventLoop: eventLoopTrend,
+                gc: gcTrend,
+                handles: handlesTrend
+            },
+            segments: {
+                memory: metrics.memory,
+                cpu: metrics.cpu,
+                eventLoop: metrics.eventLoop || {},
+                gc: metrics.gc || {},
+                handles: metrics.handles || {}
+            },
+            workers: view.workers,
+            hosts: view.hosts
+        });
+    }));
+
+    // Health summary of a view, used by /slamHealth and /slamMetrics
+    function computeHealth (view) {
+        const apiCounts = view.counts;
+        const systemMetrics = view.systemMetrics || { memory: {}, cpu: {} };
+        
+        // Calculate total requests and average response time
+        let totalRequests = 0;
+        let totalDuration = 0;
+        let errorCount = 0;
+        
+        Object.values(apiCounts).forEach(route => {
+            totalRequests += route.count;
+            totalDuration += route.avgDurationMs * route.count;
+            
+            Object.keys(route.statusCodes).forEach(statusCode => {
+                if (statusCode >= 400) {
+                    errorCount += route.statusCodes[statusCode].count;
+                }
+            });
+        });
+
+        const avgResponseTime = totalRequests > 0 ? totalDuration / totalRequests : 0;
+        const errorRate = totalRequests > 0 ? (errorCount / totalRequests) * 100 : 0;
+
+        // Get latest system metrics
+        const currentMemory = view.current.memory;
+        const loadAvg = os.loadavg();
+
+        // Calculate memory pressure based on actual V8 heap limits (summed across cluster workers)
+        const heapLimitMB = Math.round(view.current.heapLimit / 1024 / 1024);
+        const rssMB = Math.round(currentMemory.rss / 1024 / 1024);
+        const heapUsedMB = Math.round(currentMemory.heapUsed / 1024 / 1024);
+        const heapTotalMB = Math.round(currentMemory.heapTotal / 1024 / 1024);
+        const heapUtilization = Math.round((currentMemory.heapUsed / currentMemory.heapTotal) * 100);
+        
+        // Memory pressure indicators:
+        // 1. RSS > 80% of heap limit (approaching V8's memory limit)
+        // 2. Heap used > 75% of heap limit (getting close to V8 limit)
+        // 3. RSS growth trend (if we have historical data)
+        const rssThreshold = heapLimitMB * 0.8;
+        const heapUsedThreshold = heapLimitMB * 0.75;
+        const highMemoryUsage = rssMB > rssThreshold || heapUsedMB > heapUsedThreshold;
+        
+        // Check for memory growth trend
+        let memoryGrowthConcern = false;
+        const recentMemorySegments = Object.keys(systemMetrics.memory || {})
+            .sort()
+            .slice(-5)
+            .map(seg => systemMetrics.memory[seg]);
+            
+        if (recentMemorySegments.length >= 3) {
+            const oldestRss = recentMemorySegments[0].rss / 1024 / 1024;
+            const newestRss = recentMemorySegments[recentMemorySegments.length - 1].rss / 1024 / 1024;
+            // If memory has grown by more than 50% (by default) in recent segments, flag it
+            memoryGrowthConcern = (newestRss / oldestRss) > config.thresholds.memoryGrowth;
+        }
+
+        const memoryPressure = highMemoryUsage || memoryGrowthConcern;
+        const highErrorRate = errorRate > config.thresholds.errorRate;
+        const highLoad = loadAvg[0] > os.cpus().length;
+
+        // Event-loop delay of the last sample (the worst worker's in cluster mode)
+        const eventLoop = view.current.eventLoop || null;
+        const highEventLoopLag = !!eventLoop && eventLoop.p99 > config.thresholds.eventLoopLagMs;
+
+        return {
+            timestamp: Date.now(),
+            api: {
+                totalRequests,
+                avgResponseTime: Math.round(avgResponseTime),
+                errorRate: Math.round(errorRate * 100) / 100,
+                errorCount,
+                routeCount: Object.keys(apiCounts).length
+            },
+            system: {
+                memory: {
+                    heapUsed: heapUsedMB,
+                    heapTotal: heapTotalMB,
+                    heapUtilization: heapUtilization,
+                    rss: rssMB,
+                    heapLimit: heapLimitMB,
+                    // Add more context for memory assessment
+                    memoryPressureReason: memoryPressure ? 
+                        (rssMB > rssThreshold ? `High RSS usage (${rssMB}MB > ${Math.round(rssThreshold)}MB limit)` : 
+                         heapUsedMB > heapUsedThreshold ? `High heap usage (${heapUsedMB}MB > ${Math.round(heapUsedThreshold)}MB limit)` :
+                         memoryGrowthConcern ? 'Memory growth detected' : 
+                         'Memory pressure detected') : null
+                },
+                cpu: {
+                    loadAverage: loadAvg,
+                    cores: os.cpus().length
+                },
+                eventLoop: eventLoop && { mean: eventLoop.mean, p99: eventLoop.p99, max: eventLoop.max },
+                handles: view.current.handles ? view.current.handles.handles : null,
+                uptime: Math.round(process.uptime())
+            },
+            health: {
+                status: (errorRate > config.thresholds.warningErrorRate || memoryPressure || highLoad || highEventLoopLag) ? 'warning' : 'healthy',
+                memoryPressure: memoryPressure,
+                highErrorRate: highErrorRate,
+                highLoad: highLoad,
+                highEventLoopLag: highEventLoopLag,
+                activeAlerts: alertEngine ? alertEngine.status().active.length : undefined,
+                // Add more detailed health info
+                details: {
+                    memoryStatus: rssMB > rssThreshold ? 'high' : rssMB > (rssThreshold * 0.6) ? 'moderate' : 'normal',
+                    memoryTrend: memoryGrowthConcern ? 'growing' : 'stable',
+                    heapLimitMB: heapLimitMB,
+                    thresholds: {
+                        rssWarning: Math.round(rssThreshold),
+                        heapWarning: Math.round(heapUsedThreshold),
+                        eventLoopLagMs: config.thresholds.eventLoopLagMs
+                    }
+                }
+            },
+            workers: view.workers,
+            hosts: view.hosts
+        };
+    }
+
+    // Combined health endpoint
+    addRoute('health', withView(function (req, res, view) {
+        res.json(computeHealth(view));
+    }));
+
+    // Prometheus / OpenMetrics exposition
+    addRoute('metrics', withView(function (req, res, view) {
+        res.set('Content-Type', prometheus.CONTENT_TYPE);
+        res.send(prometheus.render(view, computeHealth(view)));
+    }));
+
+    // Recent slow & failed requests, filtered by query parameters
+    if (requestLog) addRoute('requests', function (req, res) {
+        res.json({
+            requests: requestLog.query(req.query),
+            size: requestLog.size(),
+            capacity: requestLog.capacity
+        });
+    });
+
+    // Inferred parameter schema of a route (?key=GET /users/:id, or ?method=GET&route=/users/:id), or of every route
+    addRoute('schema', withView(function (req, res, view) {
+        const counts = view.counts;
+        const key = req.query.key || (req.query.method && req.query.route ? `${ String(req.query.method).toUpperCase() } ${ req.query.route }` : null);
+
+        if (!key) {
+            let out = {};
+            Object.keys(counts).forEach(k => { if (counts[k].schema) out[k] = schema.summarizeSchema(counts[k].schema); });
+            return res.json(out);
+        }
+
+        if (!counts[key] || !counts[key].schema) return res.status(404).json({ error: 'Unknown route', key });
+        res.json(Object.assign({ key }, schema.summarizeSchema(counts[key].schema)));
+    }));
+
+    // OpenAPI 3 document of the routes seen, leaving out the module's own routes
+    addRoute('openapi', withView(function (req, res, view) {
+        const own = Object.keys(config.paths).map(k => config.paths[k]).filter(Boolean);
+
+        res.json(openapi.render(view.counts, {
+            title: config.pageTitle,
+            ignore: path => own.indexOf(path) >= 0 || (assetsPath && path === `${ assetsPath }/:file`)
+        }));
+    }));
+
+    // Top clients of every route or of one (?key=), all time or since a timestamp (?since=, ms)
+    if (config.clients) addRoute('clients', withView(function (req, res, view) {
+        const counts = view.counts;
+        const key = req.query.key || null;
+        const since = req.query.since ? parseInt(req.query.since, 10) : null;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 10, config.clients.capacity);
+
+        if (key && !Object.prototype.hasOwnProperty.call(counts, key)) return res.status(404).json({ error: 'Unknown route', key });
+        if (since !== null && !(since >= 0)) return res.status(400).json({ error: 'since must be a timestamp in ms', since: req.query.since });
+
+        const top = clients.topClients(counts, {
+            key,
+            since: since === null ? null : tsToSegment(since, view.resolution.segmentSize),
+            limit,
+            capacity: config.clients.capacity
+        });
+
+        res.json(Object.assign({ key, since, capacity: config.clients.capacity }, top));
+    }));
+
+    // Segments straying from each route's baseline, of every route or of one (?key=), since a timestamp (?since=, ms)
+    if (config.anomalies) addRoute('anomalies', withView(function (req, res, view) {
+        const counts = view.counts;
+        const key = req.query.key || null;
+        const since = req.query.since ? parseInt(req.query.since, 10) : null;
+
+        if (key && !Object.prototype.hasOwnProperty.call(counts, key)) return res.status(404).json({ error: 'Unknown route', key });
+        if (since !== null && !(since >= 0)) return res.status(400).json({ error: 'since must be a timestamp in ms', since: req.query.since });
+
+        const segmentSize = view.resolution.segmentSize;
+        const found = anomalies.findAnomalies(counts, Object.assign({
+            keys: key ? [key] : null,
+            since: since === null ? 0 : Math.floor(since / segmentSize),
+            current: tsToSegment(null, segmentSize),
+            segmentSize
+        }, config.anomalies));
+
+        res.json(Object.assign({ key, since, threshold: config.anomalies.threshold }, found));
+    }));
+
+    // SLO compliance, error budgets & burn rates, read from every resolution
+    if (config.slos.length) addRoute('slos', function (req, res) {
+        Promise.all(config.resolutions.map(resolution => getView(req, resolution)))
+            .then(views => {
+                if (views[0].notFound) return res.status(404).json({ error: views[0].error || 'Unknown worker', workers: views[0].workers, hosts: views[0].hosts });
+
+                res.json({
+                    timestamp: Date.now(),
+                    slos: slo.evaluate(config.slos, views.map((view, i) => ({ resolution: config.resolutions[i], counts: view.counts })), Date.now())
+                });
+            })
+            .catch(e => {
+                console.log('[Slam exception]', e);
+                res.sendStatus(500);
+            });
+    });
+
+    // Timestamp (ms) of a query parameter given in ms or as a date ('2024-05-01T12:00Z'), null if invalid
+    function timeOf (value, fallback) {
+        if (value === undefined || value === '') return fallback;
+        const ts = /^\d+$/.test(value) ? +value : Date.parse(value);
+        return isNaN(ts) ? null : ts;
+    }
+
+    // Longest ?route= pattern of an export
+    const MAX_ROUTE_PATTERN = 200;
+
+    // Flat segment history: ?type=routes|system, ?format=csv|ndjson, ?from= & ?to=,
+    // and for routes ?method=, ?route= (a pattern, as in `include`) & ?q= (search in "METHOD route")
+    addRoute('export', withView(function (req, res, view) {
+        const type = req.query.type || 'routes';
+        const format = req.query.format || 'csv';
+        const from = timeOf(req.query.from, 0);
+        const to = timeOf(req.query.to, Date.now());
+
+        if (['routes', 'system'].indexOf(type) < 0) return res.status(400).json({ error: 'type must be routes or system', type });
+        if (['csv', 'ndjson'].indexOf(format) < 0) return res.status(400).json({ error: 'format must be csv or ndjson', format });
+        if (from === null || to === null) return res.status(400).json({ error: 'from and to must be timestamps in ms or dates', from: req.query.from, to: req.query.to });
+        if (req.query.route && String(req.query.route).length > MAX_ROUTE_PATTERN) return res.status(400).json({ error: `route must be at most ${ MAX_ROUTE_PATTERN } characters` });
+
+        // System metrics are only kept at the finest resolution
+        const segmentSize = type === 'system' ? config.segmentSize : view.resolution.segmentSize;
+        const range = { segmentSize, from: Math.floor(from / segmentSize), to: Math.floor(to / segmentSize) };
+
+        const method = req.query.method ? String(req.query.method).toUpperCase() : null;
+        const route = req.query.route ? globMatcher(String(req.query.route)) : null;
+        const q = req.query.q ? String(req.query.q).toLowerCase() : null;
+
+        const match = key => (!method || key.slice(0, key.indexOf(' ')) === method)
+            && (!route || route(key) || route(key.slice(key.indexOf(' ') + 1)))
+            && (!q || key.toLowerCase().indexOf(q) >= 0);
+
+        const rows = type === 'system'
+            ? exporter.systemRows(view.systemMetrics || {}, range)
+            : exporter.routeRows(view.counts, Object.assign({ match }, range));
+        const columns = type === 'system' ? exporter.SYSTEM_COLUMNS : exporter.ROUTE_COLUMNS;
+
+        res.set('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="slam-${ type }-${ new Date().toISOString().slice(0, 10) }.${ format }"`);
+        res.send(format === 'csv' ? exporter.toCsv(columns, rows) : exporter.toNdjson(rows));
+    }));
+
+    // Deltas pushed by the instances of the fleet
+    if (hubServer && config.paths.ingest) mount('POST', config.paths.ingest, hubServer.handler);
+
+    // Last 60 seconds, as Server-Sent Events or JSON
+    if (live) addRoute('live', live.handler);
+
+    // Alert state: active alerts, recent events and rules
+    if (alertEngine) addRoute('alerts', function (req, res) {
+        res.json(alertEngine.status());
+    });
+
+    // Render the view
+    const pageTitle = config.pageTitle;
+
+    // Settings the dashboard script needs, safe to inline in a <script> tag
+    const clientConfig = JSON.stringify({
+        paths: Object.assign({}, config.paths, {
+            alerts: alertEngine ? config.paths.alerts : false,
+            requests: requestLog ? config.paths.requests : false,
+            clients: config.clients ? config.paths.clients : false,
+            anomalies: config.anomalies ? config.paths.anomalies : false,
+            slos: config.slos.length ? config.paths.slos : false
+        }),
+        resolutions: config.resolutions,
+        hub: !!hubServer
+    }).replace(/</g, '\\u003c');
+
+    // Page assets, served from the package under the monitor path
+    const assetsPath = config.paths.monitor && `${ config.paths.monitor.replace(/\/$/, '') }/assets`;
+    if (assetsPath) mount('GET', `${ assetsPath }/:file`, assets.serve);
+
+    function asset (name) {
+        return `${ assetsPath }/${ name }?v=${ version }`;
+    }
+
+    addRoute('monitor', function (req, res) {
+        // Nonce for a CSP with 'nonce-...' sources, when the app provides one
+        const nonce = config.cspNonce ? config.cspNonce(req, res) : null;
+        const nonceAttr = nonce && /^[\w+/=-]+$/.test(nonce) ? ` nonce="${ nonce }"` : '';
+
+        res.send(`
+<html lang="en">
+    <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1, maximum-scale=1">
+        <meta name="apple-mobile-web-app-status-bar-style" content="black-translucent">
+        <meta name="apple-mobile-web-app-capable" content="yes" />
+        <meta http-equiv="X-UA-Compatible" content="IE=edge">
+        <meta name="mobile-web-app-capable" content="yes">
+        <meta name="theme-color" content="#000000">
+        <title>${ pageTitle }</title>
+        <link rel="stylesheet" href="${ asset('bootstrap.min.css') }"${ nonceAttr } />
+        <link rel="stylesheet" href="${ asset('monitor.css') }"${ nonceAttr } />
+    </head>
+    <body>
+        <div class="container slam-page">
+            <h2 class="text-center">${ pageTitle }</h2>
+            <div class="text-center">
+                <select id="host" class="form-select form-select-sm d-inline-block w-auto is-hidden" aria-label="Host">
+                    <option value="">All hosts</option>
+                </select>
+            </div>
+            <br>
+            
+            <!-- System Health Status -->
+            <div id="health-status" class="health-status health-healthy">
+                <div class="row">
+                    <div class="col-md-8">
+                        <h5 id="health-title">System Status: <span id="health-text">Loading...</span></h5>
+                        <p id="health-details" class="mb-0">Checking system health...</p>
+                    </div>
+                    <div class="col-md-4 text-end">
+                        <small id="last-updated" class="text-muted">Last updated: --</small>
+                    </div>
+                </div>
+            </div>
+
+            <!-- Hub: hosts of the fleet -->
+            <div id="hosts" class="card bg-light mb-4 is-hidden">
+                <div class="card-header">Hosts</div>
+                <table class="table table-sm table-hover mb-0 small">
+                    <thead>
+                        <tr><th>Host</th><th>Status</th><th>Last push</th><th>Requests</th><th>Error rate</th><th>Avg response</th><th>RSS</th><th>Event loop p99</th><th>Issues</th></tr>
+                    </thead>
+                    <tbody id="hosts-rows"></tbody>
+                </table>
+            </div>
+
+            <!-- Service level objectives -->
+            <div id="slos" class="card bg-light mb-4 is-hidden">
+                <div class="card-header">Service level objectives</div>
+                <table class="table table-sm mb-0 small">
+                    <thead>
+                        <tr><th>SLO</th><th>Objective</th><th>Good</th><th>Error budget left</th><th>Burn rate (1h / 6h / 1d / 3d)</th><th>Status</th></tr>
+                    </thead>
+                    <tbody id="slos-rows"></tbody>
+                </table>
+            </div>
+
+            <!-- Alerts -->
+            <div id="alerts" class="mb-4 is-hidden">
+                <div id="alerts-active"></div>
+                <details>
+                    <summary class="text-muted">Recent alert events</summary>
+                    <ul id="alerts-history" class="list-unstyled small mt-2"></ul>
+                </details>
+            </div>
+
+            <!-- System Metrics Overview -->
+            <div class="row system-charts">
+                <div class="col-md-3">
+                    <div class="metric-card text-center">
+                        <div class="metric-label">Memory Usage</div>
+                        <div class="metric-value" id="memory-usage">--</div>
+                        <small class="text-muted" id="memory-details">-- MB / -- MB</small>
+                    </div>
+                </div>
+                <div class="col-md-3">
+                    <div class="metric-card text-center">
+                        <div class="metric-label">CPU Load</div>
+                        <div class="metric-value" id="cpu-load">--</div>
+                        <small class="text-muted" id="cpu-details">-- cores</small>
+                    </div>
+                </div>
+                <div class="col-md-3">
+                    <div class="metric-card text-center">
+                        <div class="metric-label">API Requests</div>
+                        <div class="metric-value" id="total-requests">--</div>
+                        <small class="text-muted" id="avg-response">-- ms avg</small>
+                    </div>
+                </div>
+                <div class="col-md-3">
+                    <div class="metric-card text-center">
+                        <div class="metric-label">Error Rate</div>
+                        <div class="metric-value" id="error-rate">--%</div>
+                        <small class="text-muted" id="uptime">Uptime: --</small>
+                    </div>
+                </div>
+            </div>
+
+            <!-- System Charts -->
+            <div class="row system-charts">
+                <div class="col-md-6">
+                    <div class="card bg-light mb-3">
+                        <div class="card-header">Memory Usage Trend</div>
+                        <div id="memory-chart"></div>
+                    </div>
+                </div>
+                <div class="col-md-6">
+                    <div class="card bg-light mb-3">
+                        <div class="card-header">CPU Load Trend</div>
+                        <div id="cpu-chart"></div>
+                    </div>
+                </div>
+                <div class="col-md-6">
+                    <div class="card bg-light mb-3">
+                        <div class="card-header">
+                            Event Loop Delay
+                            <small id="event-loop-details" class="text-muted ms-2"></small>
+                        </div>
+                        <div id="event-loop-chart"></div>
+                    </div>
+                </div>
+                <div class="col-md-6">
+                    <div class="card bg-light mb-3">
+                        <div class="card-header">
+                            GC Pauses
+                            <small id="handles-details" class="text-muted ms-2"></small>
+                        </div>
+                        <div id="gc-chart"></div>
+                    </div>
+                </div>
+            </div>
+
+            <!-- Live: last 60 seconds, streamed -->
+            <div id="live" class="card bg-light mb-4 is-hidden">
+                <div class="card-header">
+                    Last 60 seconds
+                    <small id="live-status" class="text-muted ms-2"></small>
+                </div>
+                <div class="row text-center pt-3">
+                    <div class="col">
+                        <div class="metric-label">Requests / s</div>
+                        <div class="metric-value" id="live-rate">--</div>
+                    </div>
+                    <div class="col">
+                        <div class="metric-label">Errors</div>
+                        <div class="metric-value" id="live-errors">--</div>
+                    </div>
+                    <div class="col">
+                        <div class="metric-label">Average</div>
+                        <div class="metric-value" id="live-avg">--</div>
+                    </div>
+                    <div class="col">
+                        <div class="metric-label">Peak p95</div>
+                        <div class="metric-value" id="live-p95">--</div>
+                    </div>
+                    <div class="col">
+                        <div class="metric-label">Memory (RSS)</div>
+                        <div class="metric-value" id="live-memory">--</div>
+                    </div>
+                </div>
+                <div class="row">
+                    <div class="col-md-6"><div id="live-chart"></div></div>
+                    <div class="col-md-6"><div id="live-latency-chart"></div></div>
+                </div>
+            </div>
+
+            <!-- Top clients over the selected time range -->
+            <div id="clients" class="card bg-light mb-4 is-hidden">
+                <div class="card-header">
+                    Top clients
+                    <small id="clients-range" class="text-muted ms-2"></small>
+                </div>
+                <table class="table table-sm table-hover mb-0 small">
+                    <thead>
+                        <tr><th>Client</th><th>Requests</th><th>Share</th><th>Errors</th><th>Error rate</th><th>Top routes</th></tr>
+                    </thead>
+                    <tbody id="clients-rows"></tbody>
+                </table>
+            </div>
+
+            <h4>
+                API Endpoint Metrics
+                <select id="resolution" class="form-select form-select-sm d-inline-block w-auto ms-2 is-hidden"></select>
+            </h4>
+
+            <!-- Route toolbar, its state is kept in the URL -->
+            <div class="row g-2 mb-3 align-items-center route-toolbar">
+                <div class="col-md-4">
+                    <input id="route-search" type="search" class="form-control form-control-sm" placeholder="Search routes" aria-label="Search routes">
+                </div>
+                <div class="col-auto">
+                    <select id="route-method" class="form-select form-select-sm" aria-label="HTTP method">
+                        <option value="">All methods</option>
+                    </select>
+                </div>
+                <div class="col-auto">
+                    <select id="route-sort" class="form-select form-select-sm" aria-label="Sort routes">
+                        <option value="traffic">Most requests</option>
+                        <option value="errors">Highest error rate</option>
+                        <option value="latency">Slowest (p95)</option>
+                        <option value="size">Largest responses</option>
+                        <option value="anomalies">Most anomalies</option>
+                        <option value="name">Name</option>
+                    </select>
+                </div>
+                <div class="col-auto">
+                    <select id="time-range" class="form-select form-select-sm" aria-label="Time range"></select>
+                </div>
+                <div class="col-auto">
+                    <select id="refresh" class="form-select form-select-sm" aria-label="Auto-refresh">
+                        <option value="0">No auto-refresh</option>
+                        <option value="10000">Refresh every 10s</option>
+                        <option value="30000">Refresh every 30s</option>
+                        <option value="60000">Refresh every 1m</option>
+                        <option value="120000">Refresh every 2m</option>
+                        <option value="300000">Refresh every 5m</option>
+                    </select>
+                </div>
+                <div class="col-auto">
+                    <div id="export" class="btn-group btn-group-sm is-hidden" role="group" aria-label="Download">
+                        <a id="export-csv" class="btn btn-outline-secondary" download>Download CSV</a>
+                        <a id="export-ndjson" class="btn btn-outline-secondary" download>NDJSON</a>
+                        <a id="export-system" class="btn btn-outline-secondary" download>System metrics</a>
+                    </div>
+                </div>
+                <div class="col-auto">
+                    <small id="route-summary" class="text-muted"></small>
+                </div>
+            </div>
+            <div class="charts"></div>
+            <div class="text-center mb-4">
+                <button id="show-more" type="button" class="btn btn-sm btn-outline-secondary is-hidden">Show more routes</button>
+            </div>
+        </div>
+        <script type="application/json" id="slam-config"${ nonceAttr }>${ clientConfig }</script>
+        <script src="${ asset('jquery.min.js') }"${ nonceAttr }></script>
+        <script src="${ asset('frappe-charts.min.umd.js') }"${ nonceAttr }></script>
+        <script src="${ asset('moment.min.js') }"${ nonceAttr }></script>
+        <script src="${ asset('monitor.js') }"${ nonceAttr }></script>
+    </body>
+</html>
+`);
+
+    });
+
+    return { config, track, routes, match: createRouter(routes), flush };
+}
+
+module.exports = { createCore };
@@ -0,0 +1,127 @@
+/**
+ * Flat exports of the segment history, as CSV or NDJSON
+ *
+ * Route rows are one per route × status code × segment, system rows one per
+ * segment of memory, CPU & runtime metrics. Rows are sorted by time, then route and
+ * status code, so exports of the same data are identical.
+ */
+const histogram = require('./histogram');
+
+const ROUTE_COLUMNS = [
+    'timestamp', 'segment', 'key', 'method', 'route', 'statusCode', 'count',
+    'avgDurationMs', 'maxDurationMs', 'p50DurationMs', 'p90DurationMs', 'p95DurationMs', 'p99DurationMs',
+    'requestBytes', 'responseBytes'
+];
+
+const SYSTEM_COLUMNS = [
+    'timestamp', 'segment', 'rss', 'heapUsed', 'heapTotal', 'external', 'arrayBuffers',
+    'cpuUser', 'cpuSystem', 'cpuPercent', 'load1', 'load5', 'load15',
+    'eventLoopMeanMs', 'eventLoopP99Ms', 'eventLoopMaxMs', 'gcCount', 'gcDurationMs', 'handles', 'maxHandles'
+];
+
+const round = v => Math.round(v * 100) / 100;
+
+/**
+ * Route rows of a counts object
+ *   options: { segmentSize, from, to (first & last segment, inclusive), match(key) -> boolean }
+ */
+function routeRows (counts, options) {
+    const rows = [];
+
+    Object.keys(counts).filter(options.match).forEach(key => {
+        const i = key.indexOf(' ');
+        const statusCodes = counts[key].statusCodes;
+
+        Object.keys(statusCodes).forEach(code => {
+            const segments = statusCodes[code].segments;
+
+            Object.keys(segments).forEach(seg => {
+                if (+seg < options.from || +seg > options.to) return;
+
+                const entry = segments[seg];
+                const p = histogram.percentiles(entry.histogram || {}, entry.maxDurationMs);
+
+                rows.push({
+                    timestamp: new Date(seg * options.segmentSize).toISOString(),
+                    segment: +seg,
+                    key,
+                    method: key.slice(0, i),
+                    route: key.slice(i + 1),
+                    statusCode: +code,
+                    count: round(entry.count),
+                    avgDurationMs: round(entry.avgDurationMs),
+                    maxDurationMs: round(entry.maxDurationMs),
+                    p50DurationMs: p.p50,
+                    p90DurationMs: p.p90,
+                    p95DurationMs: p.p95,
+                    p99DurationMs: p.p99,
+                    requestBytes: Math.round(entry.requestBytes || 0),
+                    responseBytes: Math.round(entry.responseBytes || 0)
+                });
+            });
+        });
+    });
+
+    return rows.sort((a, b) => a.segment - b.segment || (a.key < b.key ? -1 : a.key > b.key ? 1 : 0) || a.statusCode - b.statusCode);
+}
+
+/**
+ * System metric rows ({ memory, cpu, eventLoop, gc, handles } keyed by segment)
+ *   options: { segmentSize, from, to }
+ */
+function systemRows (systemMetrics, options) {
+    const kinds = ['memory', 'cpu', 'eventLoop', 'gc', 'handles'];
+    const all = Object.assign.apply(null, [{}].concat(kinds.map(kind => systemMetrics[kind] || {})));
+    const segments = Object.keys(all).map(Number).filter(seg => seg >= options.from && seg <= options.to);
+
+    return segments.sort((a, b) => a - b).map(seg => {
+        const [m, c, e, g, h] = kinds.map(kind => (systemMetrics[kind] || {})[seg] || {});
+        const load = c.loadAverage || [];
+        const gcKinds = Object.keys(g).map(kind => g[kind]);
+
+        return {
+            timestamp: new Date(seg * options.segmentSize).toISOString(),
+            segment: seg,
+            rss: m.rss,
+            heapUsed: m.heapUsed,
+            heapTotal: m.heapTotal,
+            external: m.external,
+            arrayBuffers: m.arrayBuffers,
+            cpuUser: c.user,
+            cpuSystem: c.system,
+            cpuPercent: c.percent === undefined ? undefined : round(c.percent),
+            load1: load[0],
+            load5: load[1],
+            load15: load[2],
+            eventLoopMeanMs: e.mean,
+            eventLoopP99Ms: e.p99,
+            eventLoopMaxMs: e.max,
+            gcCount: gcKinds.reduce((sum, k) => sum + k.count, 0),
+            gcDurationMs: round(gcKinds.reduce((sum, k) => sum + k.durationMs, 0)),
+            handles: h.handles,
+            maxHandles: h.maxHandles
+        };
+    });
+}
+
+// One CSV field, quoted when needed; text that spreadsheets would run as a formula is prefixed with '
+function csvField (v) {
+    if (v === undefined || v === null) return '';
+    if (typeof v !== 'string') return String(v);
+
+    if (/^[=+\-@\t\r]/.test(v)) v = `'${ v }`;
+    return /[",\r\n]/.test(v) ? `"${ v.replace(/"/g, '""') }"` : v;
+}
+
+// RFC 4180 CSV, with a header line
+function toCsv (columns, rows) {
+    const lines = [columns.join(',')].concat(rows.map(row => columns.map(c => csvField(row[c])).join(',')));
+    return lines.join('\r\n') + '\r\n';
+}
+
+// One JSON object per line
+function toNdjson (rows) {
+    return rows.map(row => JSON.stringify(row) + '\n').join('');
+}
+
+module.exports = { ROUTE_COLUMNS, SYSTEM_COLUMNS, routeRows, systemRows, toCsv, toNdjson };
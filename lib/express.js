@@ -0,0 +1,24 @@
+/**
+ * Express adapter: records every request of an app and mounts the module's routes
+ */
+const { createCore } = require('./core');
+
+// Route template of a request: the matched route's path under its router's mount path, null when none matched
+function routeOf (req) {
+    const route = req.route ? req.route.path : '';
+    const baseUrl = req.baseUrl ? req.baseUrl : '';
+    return route ? `${ baseUrl === '/' ? '' : baseUrl }${ route }` : null;
+}
+
+module.exports = function (app, options) {
+    const slam = createCore(options);
+
+    app.use(function (req, res, next) {
+        slam.track(req, res, () => routeOf(req));
+        next();
+    });
+
+    slam.routes.forEach(route => app[route.method.toLowerCase()](route.path, route.stack));
+
+    return { flush: slam.flush };
+};
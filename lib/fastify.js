@@ -0,0 +1,40 @@
+/**
+ * Fastify adapter: records every request of an instance and mounts the module's routes
+ *
+ * Call it on the root instance, not through register(), so its hook sees the
+ * routes of every plugin, and before the instance is ready.
+ */
+const { createCore } = require('./core');
+const { decorate } = require('./http-helpers');
+
+// Pushes to a hub may be larger than Fastify's default body limit (1MB)
+const MAX_BODY = 10 * 1024 * 1024;
+
+// Route template of a request ('/users/:id'), null when no route matched
+function routeOf (request) {
+    const url = request.routeOptions ? request.routeOptions.url : request.routerPath; // Fastify >= 4.10, older ones
+    return url || null;
+}
+
+module.exports = function (fastify, options) {
+    const slam = createCore(options);
+
+    fastify.addHook('onRequest', function (request, reply, done) {
+        slam.track(request, reply.raw, () => routeOf(request));
+        done();
+    });
+
+    // The module's routes answer on the raw request & response
+    slam.routes.forEach(route => fastify.route({
+        method: route.method,
+        url: route.path,
+        bodyLimit: MAX_BODY,
+        handler: function (request, reply) {
+            reply.hijack();
+            decorate(request.raw, reply.raw, { query: request.query, params: request.params, ip: request.ip, body: request.body });
+            route.handle(request.raw, reply.raw);
+        }
+    }));
+
+    return { flush: slam.flush };
+};
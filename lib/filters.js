@@ -0,0 +1,138 @@
+/**
+ * Which requests are recorded, and how often
+ *
+ * Patterns are strings, globs, RegExps or predicates on `req`. A string or
+ * glob containing a space ('GET /users/*') is matched against "METHOD route",
+ * otherwise against the route (/users/:id) and the request path (/users/42).
+ * In globs, `*` matches within a path segment and `**` across segments.
+ *
+ * Sampled requests are recorded with a weight of 1 / rate, so counts and
+ * histograms stay estimates of the full traffic.
+ */
+
+const STAR = 1; // '*', within a path segment
+const GLOBSTAR = 2; // '**', across segments
+
+/**
+ * Test function of a glob, anchored. The glob is run as a set of positions
+ * advanced one character at a time, so a test takes (string length x glob
+ * length) steps at most, however many wildcards the glob has (a RegExp
+ * backtracks on patterns such as '**a**a**a', which request handlers match
+ * against user input).
+ */
+function globMatcher (glob) {
+    const tokens = [];
+
+    // Characters & wildcards, a run of 2 or more * being one '**'
+    for (let i = 0; i < glob.length; i++) {
+        if (glob[i] !== '*') {
+            tokens.push(glob[i]);
+            continue;
+        }
+
+        let j = i;
+        while (glob[j + 1] === '*') j++;
+        tokens.push(j > i ? GLOBSTAR : STAR);
+        i = j;
+    }
+
+    const n = tokens.length;
+
+    // Wildcards may match nothing: positions reached through them
+    function close (states) {
+        for (let i = 0; i < n; i++) {
+            if (states[i] && typeof tokens[i] === 'number') states[i + 1] = true;
+        }
+        return states;
+    }
+
+    return function (s) {
+        s = String(s);
+        let states = close([true]);
+
+        for (let k = 0; k < s.length; k++) {
+            const c = s[k];
+            const next = [];
+            let alive = false;
+
+            for (let i = 0; i < n; i++) {
+                if (!states[i]) continue;
+
+                const t = tokens[i];
+                if (t === GLOBSTAR || (t === STAR && c !== '/')) next[i] = alive = true;
+                else if (t === c) next[i + 1] = alive = true;
+            }
+
+            if (!alive) return false;
+            states = close(next);
+        }
+
+        return !!states[n];
+    };
+}
+
+// Test function of a pattern: (req, key, route, path) -> boolean
+function compile (pattern) {
+    // A throwing predicate (req.user.role on an anonymous request) matches nothing
+    if (typeof pattern === 'function') {
+        return req => {
+            try {
+                return !!pattern(req);
+            } catch(e) {
+                console.log('[Slam exception]', e);
+                return false;
+            }
+        };
+    }
+
+    if (pattern instanceof RegExp) {
+        return (req, key, route, path) => [key, route, path].some(s => {
+            pattern.lastIndex = 0;
+            return pattern.test(s);
+        });
+    }
+
+    const test = globMatcher(String(pattern));
+    if (String(pattern).indexOf(' ') >= 0) return (req, key) => test(key);
+
+    return (req, key, route, path) => test(route) || test(path);
+}
+
+/**
+ * Filter of a normalized config:
+ *   { include: [pattern], exclude: [pattern], sampleRate, sampling: [{ route, rate }], trackOwnRoutes }
+ */
+function createFilter (options) {
+    const include = options.include.map(compile);
+    const exclude = options.exclude.map(compile);
+    const sampling = options.sampling.map(rule => ({ test: compile(rule.route), rate: rule.rate }));
+
+    function args (req, slam) {
+        const key = slam.method;
+        return [req, key, key.slice(req.method.length + 1), String(req.originalUrl || req.url).split('?')[0]];
+    }
+
+    return {
+        // Is a finished request (res.slam) recorded at all?
+        includes: function (req, slam) {
+            if (slam.own && !options.trackOwnRoutes) return false;
+
+            const a = args(req, slam);
+            if (include.length && !include.some(test => test.apply(null, a))) return false;
+
+            return !exclude.some(test => test.apply(null, a));
+        },
+
+        // Weight to record a request with (1 / sampling rate), 0 when it is left out of this sample
+        weightOf: function (req, slam) {
+            const a = args(req, slam);
+            const rule = sampling.find(r => r.test.apply(null, a));
+            const rate = rule ? rule.rate : options.sampleRate;
+
+            if (rate >= 1) return 1;
+            return rate > 0 && Math.random() < rate ? 1 / rate : 0;
+        }
+    };
+}
+
+module.exports = { createFilter, globMatcher };
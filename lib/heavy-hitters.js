@@ -0,0 +1,82 @@
+/**
+ * Space-Saving heavy hitters: the top keys of a stream in bounded memory
+ *
+ * A summary keeps at most `capacity` counters, { capacity, items: { [key]: { count, errors, error } } }.
+ * When it is full, a new key replaces the smallest counter and inherits its
+ * count, which is remembered as `error`: a key's true count is between
+ * count - error and count. Any key seen more than total / capacity times is
+ * guaranteed to be kept. Summaries are plain objects, so they can be saved
+ * and sent between processes, and merged.
+ */
+
+function create (capacity) {
+    return { capacity, items: {} };
+}
+
+function has (summary, key) {
+    return Object.prototype.hasOwnProperty.call(summary.items, key);
+}
+
+// Key with the smallest count
+function smallest (summary) {
+    let min = null;
+
+    Object.keys(summary.items).forEach(key => {
+        if (min === null || summary.items[key].count < summary.items[min].count) min = key;
+    });
+
+    return min;
+}
+
+// Count `weight` occurrences of a key, `errors` of which failed
+function add (summary, key, weight, errors) {
+    weight = weight || 1;
+    if (key === '__proto__') return summary;
+
+    if (!has(summary, key)) {
+        if (Object.keys(summary.items).length < summary.capacity) {
+            summary.items[key] = { count: 0, errors: 0, error: 0 };
+        } else {
+            const min = smallest(summary);
+            const evicted = summary.items[min];
+
+            delete summary.items[min];
+            summary.items[key] = { count: evicted.count, errors: 0, error: evicted.count };
+        }
+    }
+
+    const item = summary.items[key];
+    item.count += weight;
+    item.errors += errors || 0;
+
+    return summary;
+}
+
+// Add every counter of source to target, keeping the `capacity` largest, returns target
+function merge (target, source) {
+    Object.keys(source.items || {}).forEach(key => {
+        if (key === '__proto__') return;
+
+        const item = source.items[key];
+        const t = has(target, key) ? target.items[key] : (target.items[key] = { count: 0, errors: 0, error: 0 });
+
+        t.count += item.count;
+        t.errors += item.errors;
+        t.error += item.error;
+    });
+
+    const keys = Object.keys(target.items).sort((a, b) => target.items[b].count - target.items[a].count);
+    keys.slice(target.capacity).forEach(key => { delete target.items[key]; });
+
+    return target;
+}
+
+// Largest counters first: [{ key, count, errors, error }]
+function top (summary, limit) {
+    return Object.keys(summary.items)
+        .map(key => Object.assign({ key }, summary.items[key]))
+        .sort((a, b) => b.count - a.count)
+        .slice(0, limit);
+}
+
+module.exports = { create, add, merge, top };
@@ -0,0 +1,72 @@
+/**
+ * Streaming latency histogram
+ *
+ * Durations are counted in log-spaced buckets (each ~5% wider than the last),
+ * stored as a sparse `{ bucketIndex: count }` object. Histograms stay small,
+ * can be merged with each other and serialize as plain JSON.
+ */
+const GROWTH = 1.05;
+const LOG_GROWTH = Math.log(GROWTH);
+
+// Bucket index for a duration in ms (bucket 0 holds everything up to 1ms)
+function bucketOf (ms) {
+    if (!(ms > 1)) return 0;
+    return Math.ceil(Math.log(ms) / LOG_GROWTH);
+}
+
+// Upper bound of a bucket, in ms
+function upperBound (bucket) {
+    return Math.pow(GROWTH, bucket);
+}
+
+// Count a duration, returns the histogram
+function record (histogram, ms, weight) {
+    const bucket = bucketOf(ms);
+    histogram[bucket] = (histogram[bucket] || 0) + (weight || 1);
+    return histogram;
+}
+
+// Add every bucket of source to target, returns target
+function merge (target, source) {
+    for (let bucket in source) {
+        target[bucket] = (target[bucket] || 0) + source[bucket];
+    }
+    return target;
+}
+
+// Estimate the q-th quantile (0..1), never reporting more than max
+function quantile (histogram, q, max) {
+    const buckets = Object.keys(histogram).map(Number).sort((a, b) => a - b);
+    let total = 0;
+
+    buckets.forEach(b => { total += histogram[b]; });
+    if (!total) return 0;
+
+    const rank = q * total;
+    let seen = 0;
+
+    for (let i = 0; i < buckets.length; i++) {
+        seen += histogram[buckets[i]];
+        if (seen >= rank) {
+            const value = upperBound(buckets[i]);
+            return max ? Math.min(value, max) : value;
+        }
+    }
+
+    return max || upperBound(buckets[buckets.length - 1]);
+}
+
+// p50/p90/p95/p99 and max of a histogram, rounded to 0.01ms
+function percentiles (histogram, max) {
+    const round = v => Math.round(v * 100) / 100;
+
+    return {
+        p50: round(quantile(histogram, 0.5, max)),
+        p90: round(quantile(histogram, 0.9, max)),
+        p95: round(quantile(histogram, 0.95, max)),
+        p99: round(quantile(histogram, 0.99, max)),
+        max: round(max || 0)
+    };
+}
+
+module.exports = { bucketOf, upperBound, record, merge, quantile, percentiles };
@@ -0,0 +1,157 @@
+/**
+ * Just enough of Express' request & response helpers for the module's own
+ * routes to run on a bare Node.js request and response
+ *
+ * Adapters other than Express decorate the request (query, params, ip, body)
+ * and response (status, set, send, json, sendStatus) before handing them to a
+ * route. Helpers the objects already have are left alone.
+ */
+const { STATUS_CODES } = require('http');
+
+// '/users?a=1&a=2&b=' -> { a: ['1', '2'], b: '' }
+function queryOf (url) {
+    const query = {};
+    const i = String(url).indexOf('?');
+    if (i < 0) return query;
+
+    new URLSearchParams(String(url).slice(i + 1)).forEach((value, key) => {
+        if (key === '__proto__') return;
+        if (!Object.prototype.hasOwnProperty.call(query, key)) query[key] = value;
+        else query[key] = [].concat(query[key], value);
+    });
+
+    return query;
+}
+
+// '/users?a=1' -> '/users'
+function pathOf (url) {
+    return String(url).split('?')[0];
+}
+
+const response = {
+    status: function (code) {
+        this.statusCode = code;
+        return this;
+    },
+
+    set: function (name, value) {
+        this.setHeader(name, value);
+        return this;
+    },
+
+    send: function (body) {
+        if (body && typeof body === 'object' && !Buffer.isBuffer(body)) return this.json(body);
+        if (!this.getHeader('Content-Type')) this.setHeader('Content-Type', Buffer.isBuffer(body) ? 'application/octet-stream' : 'text/html; charset=utf-8');
+
+        const data = body === undefined || body === null ? '' : body;
+        this.setHeader('Content-Length', Buffer.isBuffer(data) ? data.length : Buffer.byteLength(String(data)));
+        this.end(Buffer.isBuffer(data) ? data : String(data));
+        return this;
+    },
+
+    json: function (value) {
+        if (!this.getHeader('Content-Type')) this.setHeader('Content-Type', 'application/json; charset=utf-8');
+        return this.send(JSON.stringify(value));
+    },
+
+    sendStatus: function (code) {
+        this.statusCode = code;
+        if (code === 204 || code === 304) return this.end();
+        return this.send(STATUS_CODES[code] || String(code));
+    }
+};
+
+/**
+ * Add the helpers a route needs to a request & response
+ *   extras: { query, params, ip, body } taken from the framework, when it parsed them
+ */
+function decorate (req, res, extras) {
+    extras = extras || {};
+
+    if (req.query === undefined) req.query = extras.query || queryOf(req.url);
+    if (req.params === undefined) req.params = extras.params || {};
+    if (req.ip === undefined && extras.ip !== undefined) req.ip = extras.ip;
+    if (req.body === undefined && extras.body !== undefined) req.body = extras.body;
+
+    Object.keys(response).forEach(name => {
+        if (typeof res[name] !== 'function') res[name] = response[name];
+    });
+}
+
+// Run Express-style handlers (req, res, next) one after the other, a 500 if one fails
+function chain (handlers) {
+    return function (req, res) {
+        let i = 0;
+
+        function next (err) {
+            if (err) {
+                console.log('[Slam exception]', err);
+                if (!res.headersSent) res.status(500).json({ error: 'Internal Server Error' });
+                return;
+            }
+
+            const handler = handlers[i++];
+            if (!handler) return;
+
+            try {
+                handler(req, res, next);
+            } catch(e) {
+                next(e);
+            }
+        }
+
+        next();
+    };
+}
+
+// Matcher of a route path with :params ('/monitor/assets/:file'), returns its params or null
+function compilePath (path) {
+    const names = [];
+    const source = path.split('/').map(part => {
+        if (part[0] !== ':') return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+        names.push(part.slice(1));
+        return '([^/]+)';
+    }).join('/');
+
+    const re = new RegExp(`^${ source }/?$`, 'i');
+
+    return function (pathname) {
+        const match = re.exec(pathname);
+        if (!match) return null;
+
+        const params = {};
+        names.forEach((name, i) => {
+            try {
+                params[name] = decodeURIComponent(match[i + 1]);
+            } catch(e) {
+                params[name] = match[i + 1];
+            }
+        });
+        return params;
+    };
+}
+
+/**
+ * Router of routes { method, path, handle }: match(method, url) -> { route, params } or null
+ * (GET routes answer HEAD requests too)
+ */
+function createRouter (routes) {
+    const compiled = routes.map(route => ({ route, match: compilePath(route.path) }));
+
+    return function match (method, url) {
+        const pathname = pathOf(url);
+
+        for (let i = 0; i < compiled.length; i++) {
+            const c = compiled[i];
+            if (c.route.method !== method && !(method === 'HEAD' && c.route.method === 'GET')) continue;
+
+            const params = c.match(pathname);
+            if (params) return { route: c.route, params };
+        }
+
+        return null;
+    };
+}
+
+module.exports = { queryOf, pathOf, decorate, chain, createRouter };
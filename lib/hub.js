@@ -0,0 +1,321 @@
+/**
+ * Hub mode: a fleet of instances push their statistics to one hub over HTTP
+ *
+ * Every `interval`, an instance POSTs what it recorded since its last push
+ * (the same deltas cluster workers send their primary, see ./aggregate) as
+ * JSON:
+ *
+ *   { slam: 'delta', hostname, version, tiers, baseTier, minSegments, system, health }
+ *
+ * where `health` is the instance's own health summary. The hub merges the
+ * deltas per hostname and for the whole fleet. A failed push is retried with
+ * the next one, so no requests are lost while the hub is down (segments
+ * expiring meanwhile are dropped).
+ */
+const routeStats = require('./route-stats');
+const schema = require('./schema');
+const postJson = require('./post-json');
+const { createAggregator } = require('./aggregate');
+
+const MAX_BODY = 10 * 1024 * 1024;
+const ROUTE_KEY = /^\S+ ./;
+const SEGMENT = /^\d+$/;
+
+// A push with an invalid value anywhere is rejected as a whole, before any of it is merged
+function invalid (path) {
+    throw new TypeError(`Invalid delta: ${ path }`);
+}
+
+const isObject = v => !!v && typeof v === 'object' && !Array.isArray(v);
+const isSegment = k => SEGMENT.test(k);
+const anyKey = k => k !== '__proto__';
+
+// Count, duration or size: a finite number, at least 0
+function amount (v, path) {
+    if (typeof v !== 'number' || !isFinite(v) || v < 0) invalid(path);
+    return v;
+}
+
+// Timestamp in ms, or null
+function timestamp (v, path) {
+    return v === null || v === undefined ? null : amount(v, path);
+}
+
+// Copy of an object with the keys that pass a test, each value checked by fn(value, path) (a missing object is empty)
+function mapKeys (o, path, test, fn) {
+    if (o === undefined) return {};
+    if (!isObject(o)) invalid(path);
+
+    let out = {};
+    Object.keys(o).forEach(k => { if (test(k)) out[k] = fn(o[k], `${ path }.${ k }`); });
+    return out;
+}
+
+// Heavy hitters of client keys: { capacity, items: { [key]: { count, errors, error } } }
+function cleanClients (clients, path) {
+    if (!isObject(clients) || !Number.isInteger(clients.capacity) || clients.capacity < 1) invalid(path);
+
+    return {
+        capacity: clients.capacity,
+        items: mapKeys(clients.items, `${ path }.items`, anyKey, (item, p) => {
+            if (!isObject(item)) invalid(p);
+            return { count: amount(item.count, `${ p }.count`), errors: amount(item.errors, `${ p }.errors`), error: amount(item.error, `${ p }.error`) };
+        })
+    };
+}
+
+// Stats entry (see ./route-stats), byte counts default to 0
+function cleanEntry (entry, path) {
+    if (!isObject(entry)) invalid(path);
+
+    let out = {};
+    ['count', 'avgDurationMs', 'maxDurationMs'].forEach(k => { out[k] = amount(entry[k], `${ path }.${ k }`); });
+    ['requestBytes', 'maxRequestBytes', 'responseBytes', 'maxResponseBytes'].forEach(k => {
+        out[k] = entry[k] === undefined ? 0 : amount(entry[k], `${ path }.${ k }`);
+    });
+
+    out.histogram = mapKeys(entry.histogram, `${ path }.histogram`, isSegment, amount);
+    if (entry.clients !== undefined) out.clients = cleanClients(entry.clients, `${ path }.clients`);
+
+    return out;
+}
+
+// Schema field (see ./schema), no deeper than schemas are kept
+function cleanField (field, path, depth) {
+    if (!isObject(field) || depth > schema.MAX_DEPTH) invalid(path);
+
+    let out = {
+        count: amount(field.count, `${ path }.count`),
+        types: mapKeys(field.types, `${ path }.types`, anyKey, amount),
+        firstSeen: timestamp(field.firstSeen, `${ path }.firstSeen`),
+        lastSeen: timestamp(field.lastSeen, `${ path }.lastSeen`)
+    };
+
+    if (field.fields !== undefined) out.fields = mapKeys(field.fields, `${ path }.fields`, anyKey, (f, p) => cleanField(f, p, depth + 1));
+    if (field.items !== undefined) out.items = cleanField(field.items, `${ path }.items`, depth + 1);
+
+    return out;
+}
+
+function cleanSchema (s, path) {
+    if (!isObject(s)) invalid(path);
+
+    let out = { count: amount(s.count, `${ path }.count`), firstSeen: timestamp(s.firstSeen, `${ path }.firstSeen`), lastSeen: timestamp(s.lastSeen, `${ path }.lastSeen`) };
+    schema.LOCATIONS.forEach(location => {
+        out[location] = mapKeys(s[location], `${ path }.${ location }`, anyKey, (f, p) => cleanField(f, p, 0));
+    });
+
+    return out;
+}
+
+function cleanRoute (route, path) {
+    let out = cleanEntry(route, path);
+
+    out.segments = mapKeys(route.segments, `${ path }.segments`, isSegment, cleanEntry);
+    out.statusCodes = mapKeys(route.statusCodes, `${ path }.statusCodes`, isSegment, (status, p) => {
+        if (!isObject(status)) invalid(p);
+        return { count: amount(status.count, `${ p }.count`), segments: mapKeys(status.segments, `${ p }.segments`, isSegment, cleanEntry) };
+    });
+    if (route.schema !== undefined) out.schema = cleanSchema(route.schema, `${ path }.schema`);
+
+    return out;
+}
+
+// Tiers of a pushed delta, checked & copied field by field; malformed tier, route & segment keys are dropped
+function cleanTiers (tiers) {
+    return mapKeys(tiers, 'tiers', isSegment, (counts, path) => mapKeys(counts, path, k => ROUTE_KEY.test(k), cleanRoute));
+}
+
+// System metrics ({ metrics, current }): numbers or null, in objects & arrays (load averages)
+function cleanSystem (system) {
+    if (system === undefined || system === null) return null;
+    if (!isObject(system) || !isObject(system.metrics) || !isObject(system.current)) invalid('system');
+
+    (function check (v, path, depth) {
+        if (v === null || (typeof v === 'number' && isFinite(v))) return;
+        if (depth > 6 || (!isObject(v) && !Array.isArray(v))) invalid(path);
+
+        Object.keys(v).forEach(k => check(v[k], `${ path }.${ k }`, depth + 1));
+    })(system, 'system', 0);
+
+    return system;
+}
+
+// Health summary of the hosts table
+function cleanHealth (health) {
+    if (!isObject(health)) return null;
+
+    const number = (v, path) => v === null || v === undefined ? null : typeof v === 'number' && isFinite(v) ? v : invalid(path);
+    const issues = Array.isArray(health.issues) ? health.issues : [];
+    if (typeof health.status !== 'string' || issues.some(i => typeof i !== 'string')) invalid('health');
+
+    return {
+        status: health.status,
+        issues,
+        errorRate: number(health.errorRate, 'health.errorRate'),
+        avgResponseTime: number(health.avgResponseTime, 'health.avgResponseTime'),
+        eventLoop: health.eventLoop ? mapKeys(health.eventLoop, 'health.eventLoop', anyKey, number) : null,
+        loadAverage: Array.isArray(health.loadAverage) ? health.loadAverage.map((v, i) => number(v, `health.loadAverage.${ i }`)) : null,
+        uptime: number(health.uptime, 'health.uptime')
+    };
+}
+
+// JSON body of a push, already parsed by the app (express.json()) or read here; __proto__ keys are dropped
+function readBody (req) {
+    const reviver = (k, v) => k === '__proto__' ? undefined : v;
+
+    if (req._body || req.readableEnded) return Promise.resolve(JSON.parse(JSON.stringify(req.body || null), reviver));
+
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY) return reject(new Error('Payload too large'));
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8'), reviver));
+            } catch(e) {
+                reject(e);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Hub side: { ingest(msg), handler(req, res), hosts(), viewOf(host, resolution) }
+ *   options: { staleAfter } ms without a push before a host is reported stale
+ */
+function createHub (options) {
+    const aggregator = createAggregator(); // hostname -> its tiers & system metrics
+
+    function ingest (msg) {
+        if (!msg || msg.slam !== 'delta' || typeof msg.hostname !== 'string' || !msg.hostname || msg.hostname.length > 200) {
+            throw new TypeError('Not a SLAM delta');
+        }
+
+        // Everything is checked before anything is merged
+        const delta = {
+            tiers: cleanTiers(msg.tiers),
+            baseTier: +msg.baseTier || null,
+            minSegments: mapKeys(msg.minSegments, 'minSegments', isSegment, amount),
+            system: cleanSystem(msg.system)
+        };
+        const info = {
+            hostname: msg.hostname,
+            version: typeof msg.version === 'string' ? msg.version : null,
+            health: cleanHealth(msg.health)
+        };
+
+        aggregator.apply(msg.hostname, delta, info);
+    }
+
+    // Every host, unhealthy & stale ones first: { hostname, version, status, issues, lastSeen, requests, ... }
+    function hosts () {
+        const now = Date.now();
+        const rank = status => status === 'stale' ? 0 : status === 'healthy' ? 2 : 1;
+
+        return aggregator.summary().map(h => {
+            const health = h.health || {};
+            const stale = now - h.lastSeen > options.staleAfter;
+            const out = Object.assign({}, h, {
+                status: stale ? 'stale' : health.status || 'healthy',
+                issues: (stale ? ['Not reporting'] : []).concat(health.issues || [])
+            });
+
+            delete out.id;
+            return out;
+        }).sort((a, b) => rank(a.status) - rank(b.status) || (a.hostname < b.hostname ? -1 : 1));
+    }
+
+    return {
+        ingest,
+        hosts,
+
+        // Fleet view, or one host's, at a resolution (segment size)
+        viewOf: function (host, resolution) {
+            const view = aggregator.viewOf(host, resolution);
+            view.hosts = hosts();
+            if (view.notFound) view.error = 'Unknown host';
+            return view;
+        },
+
+        // POST endpoint instances push to
+        handler: function (req, res) {
+            readBody(req)
+                .then(msg => {
+                    ingest(msg);
+                    res.sendStatus(204);
+                })
+                .catch(e => res.status(e.message === 'Payload too large' ? 413 : 400).json({ error: e.message }));
+        }
+    };
+}
+
+/**
+ * Instance side: records deltas and pushes them every `interval` ms
+ *
+ * options: { url, headers, interval, hostname, version, baseTier, minSegments(), getSystem(), getHealth() }
+ * `deliver(msg)` replaces the HTTP push (the hub uses it to merge its own requests).
+ */
+function startPusher (options) {
+    let pending = {};
+    let pushing = false;
+    let failing = false;
+
+    const deliver = options.deliver || (msg => postJson(options.url, msg, options.headers, 10000));
+
+    function push () {
+        if (pushing) return Promise.resolve();
+
+        const tiers = pending;
+        const minSegments = options.minSegments();
+        pending = {};
+        pushing = true;
+
+        return Promise.resolve()
+            .then(() => deliver({
+                slam: 'delta',
+                hostname: options.hostname,
+                version: options.version,
+                tiers,
+                baseTier: options.baseTier,
+                minSegments,
+                system: options.getSystem(),
+                health: options.getHealth()
+            }))
+            .then(() => {
+                if (failing) console.log('[Slam] pushing to the hub again');
+                failing = false;
+            })
+            .catch(e => {
+                if (!failing) console.log('[Slam exception]', e);
+                failing = true;
+
+                // Keep the requests for the next push, minus expired segments
+                Object.keys(tiers).forEach(tier => {
+                    const counts = routeStats.mergeCounts(pending[tier] || (pending[tier] = {}), tiers[tier]);
+                    Object.keys(counts).forEach(method => routeStats.pruneRoute(counts[method], minSegments[tier]));
+                });
+            })
+            .then(() => { pushing = false; });
+    }
+
+    setInterval(push, options.interval).unref();
+
+    return {
+        // Record a request in the pending delta of a resolution, returns its route
+        record: function (resolution, method, statusCode, segment, ms, sizes, weight) {
+            if (!pending[resolution]) pending[resolution] = {};
+            return routeStats.recordRequest(pending[resolution], method, statusCode, segment, ms, sizes, weight);
+        },
+
+        push
+    };
+}
+
+module.exports = { createHub, startPusher };
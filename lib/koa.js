@@ -0,0 +1,52 @@
+/**
+ * Koa adapter: records every request of an app and serves the module's routes
+ *
+ * Mount it before other middleware, so it measures all of them. Route
+ * templates come from @koa/router (or koa-router), which keeps the matched
+ * route in ctx._matchedRoute.
+ */
+const { createCore } = require('./core');
+const { decorate } = require('./http-helpers');
+
+// Route template of a request ('/users/:id'), null when no route matched
+function routeOf (ctx) {
+    const route = ctx._matchedRoute;
+    return typeof route === 'string' ? route : null;
+}
+
+// Express-shaped view of a context, read when the request is recorded (filters & client keys get it as `req`)
+function requestOf (ctx) {
+    return {
+        ctx,
+        method: ctx.method,
+        url: ctx.url,
+        originalUrl: ctx.originalUrl,
+        headers: ctx.headers,
+        socket: ctx.req.socket,
+        get ip () { return ctx.ip; },
+        get query () { return ctx.query; },
+        get params () { return ctx.params; },
+        get body () { return ctx.request.body; },
+        get user () { return ctx.state.user; }
+    };
+}
+
+module.exports = function (app, options) {
+    const slam = createCore(options);
+
+    app.use(function (ctx, next) {
+        slam.track(requestOf(ctx), ctx.res, () => routeOf(ctx));
+        if (ctx.res.slam) ctx.state.requestId = ctx.res.slam.uuid;
+
+        const own = slam.match(ctx.method, ctx.url);
+        if (!own) return next();
+
+        // The module's routes answer on the raw request & response (Koa starts it at 404)
+        ctx.respond = false;
+        ctx.res.statusCode = 200;
+        decorate(ctx.req, ctx.res, { query: ctx.query, params: own.params, ip: ctx.ip, body: ctx.request.body });
+        own.route.handle(ctx.req, ctx.res);
+    });
+
+    return { flush: slam.flush };
+};
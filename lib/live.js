@@ -0,0 +1,106 @@
+/**
+ * Live per-second aggregates, pushed to dashboards with Server-Sent Events
+ *
+ * Requests are added to the current second; every second it is closed into
+ * { t, count, errors, avgDurationMs, p95DurationMs, maxDurationMs, memory },
+ * kept with the previous 59, and sent to every connected client.
+ */
+const histogram = require('./histogram');
+
+const HISTORY_SIZE = 60;
+const HEARTBEAT_MS = 15000;
+const MAX_CLIENTS = 100;
+
+function createLive () {
+    const clients = new Set();
+    const history = [];
+    let current = null;
+
+    function open (t) {
+        return { t, count: 0, errors: 0, totalMs: 0, maxMs: 0, histogram: {} };
+    }
+
+    function close (second) {
+        const memory = process.memoryUsage();
+        const round = v => Math.round(v * 100) / 100;
+
+        return {
+            t: second.t,
+            count: second.count,
+            errors: second.errors,
+            avgDurationMs: second.count ? round(second.totalMs / second.count) : 0,
+            p95DurationMs: second.count ? round(histogram.quantile(second.histogram, 0.95, second.maxMs)) : 0,
+            maxDurationMs: round(second.maxMs),
+            memory: {
+                rss: Math.round(memory.rss / 1024 / 1024),
+                heapUsed: Math.round(memory.heapUsed / 1024 / 1024)
+            }
+        };
+    }
+
+    function send (res, event, data) {
+        res.write(`event: ${ event }\ndata: ${ JSON.stringify(data) }\n\n`);
+        if (res.flush) res.flush(); // compression middleware
+    }
+
+    // Close the last second (and empty ones after it) and broadcast it
+    function tick () {
+        const now = Math.floor(Date.now() / 1000) * 1000;
+        if (!current) current = open(now - 1000);
+
+        while (current.t < now) {
+            const second = close(current);
+
+            history.push(second);
+            if (history.length > HISTORY_SIZE) history.shift();
+
+            clients.forEach(res => send(res, 'second', second));
+            current = open(current.t + 1000);
+        }
+    }
+
+    setInterval(tick, 1000).unref();
+
+    setInterval(() => {
+        clients.forEach(res => res.write(': ping\n\n'));
+    }, HEARTBEAT_MS).unref();
+
+    return {
+        // Add a request (res.slam) to the second it finished in, sampled requests stand for `weight` requests
+        record: function (slam, weight) {
+            weight = weight || 1;
+            if (!current || Date.now() - current.t >= 1000) tick();
+
+            const second = current;
+            second.count += weight;
+            if (slam.statusCode >= 400) second.errors += weight;
+            second.totalMs += slam.durationMs * weight;
+            second.maxMs = Math.max(second.maxMs, slam.durationMs);
+            histogram.record(second.histogram, slam.durationMs, weight);
+        },
+
+        // Express handler: an event stream for EventSource clients, else the last 60 seconds as JSON
+        handler: function (req, res) {
+            if (String(req.headers.accept).indexOf('text/event-stream') < 0) return res.json({ seconds: history });
+            if (clients.size >= MAX_CLIENTS) return res.status(503).json({ error: 'Too many live connections' });
+
+            // The stream stays open, keep it out of the statistics
+            if (res.slam) res.slam.untracked = true;
+
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache, no-transform',
+                'Connection': 'keep-alive',
+                'X-Accel-Buffering': 'no'
+            });
+
+            res.write('retry: 5000\n\n');
+            send(res, 'history', history);
+            clients.add(res);
+
+            req.on('close', () => clients.delete(res));
+        }
+    };
+}
+
+module.exports = { createLive };
@@ -0,0 +1,34 @@
+/**
+ * Node.js http adapter, for servers without a framework:
+ *
+ *   const server = http.createServer(handler);
+ *   require('simple-logger-api-monitor').http(server, options);
+ *
+ * Requests are measured before the server's 'request' listeners run, so
+ * attach them first. Without a router there are no route templates: set
+ * `req.routePath` ('/users/:id') to name a request's route, otherwise its path
+ * is grouped with similar ones (see ./unmatched).
+ */
+const { createCore } = require('./core');
+const { queryOf, decorate } = require('./http-helpers');
+
+module.exports = function (server, options) {
+    const slam = createCore(options);
+    const listeners = server.listeners('request');
+
+    server.removeAllListeners('request');
+
+    server.on('request', function (req, res) {
+        if (req.query === undefined) req.query = queryOf(req.url);
+
+        slam.track(req, res, () => typeof req.routePath === 'string' ? req.routePath : null);
+
+        const own = slam.match(req.method, req.url);
+        if (!own) return listeners.forEach(listener => listener.call(server, req, res));
+
+        decorate(req, res, { params: own.params });
+        own.route.handle(req, res);
+    });
+
+    return { flush: slam.flush };
+};
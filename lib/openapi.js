@@ -0,0 +1,138 @@
+/**
+ * OpenAPI 3 document sketched from observed traffic
+ *
+ * Every route seen becomes an operation: Express paths are converted to
+ * OpenAPI templates (/users/:id -> /users/{id}, a route with optional params
+ * under one path per variant), parameters and request bodies come from the
+ * inferred schemas (./schema) and responses from the status codes seen.
+ * Paths and keys are sorted so documents can be diffed.
+ */
+const http = require('http');
+
+const METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+const OPTIONAL_PARAM = /\/?:(\w+)(\([^)]*\))?\?/g;
+
+// /users/:id(\d+)/:tab -> /users/{id}/{tab}
+function toTemplate (path) {
+    return path.replace(/:(\w+)(\([^)]*\))?/g, '{$1}');
+}
+
+// Express paths without optional params, as OpenAPI path parameters are always required:
+// /monitor/:tab?/:id? -> /monitor, /monitor/:tab, /monitor/:tab/:id
+function variantsOf (path) {
+    const optional = path.match(OPTIONAL_PARAM) || [];
+
+    return optional.concat([null]).map((param, kept) => {
+        let i = 0;
+        return path.replace(OPTIONAL_PARAM, match => i++ < kept ? match.slice(0, -1) : '') || '/';
+    });
+}
+
+function pathParams (path) {
+    return (path.match(/:(\w+)/g) || []).map(p => p.slice(1));
+}
+
+// OpenAPI 3.0 schema of an inferred field
+function schemaOf (field) {
+    const types = Object.keys(field.types).filter(t => t !== 'null' && t !== 'undefined').sort();
+    const schemas = types.map(type => {
+        if (type === 'object') return { type: 'object', properties: propertiesOf(field.fields) };
+        if (type === 'array') return { type: 'array', items: field.items ? schemaOf(field.items) : {} };
+        return { type: ['string', 'number', 'boolean'].indexOf(type) >= 0 ? type : 'string' };
+    });
+
+    const out = schemas.length === 1 ? schemas[0] : schemas.length ? { oneOf: schemas } : {};
+    if (field.types.null) out.nullable = true;
+
+    return out;
+}
+
+function propertiesOf (fields) {
+    let out = {};
+    Object.keys(fields || {}).sort().forEach(key => { out[key] = schemaOf(fields[key]); });
+    return out;
+}
+
+function operationOf (route, path) {
+    const schema = route.schema || { count: 0, params: {}, query: {}, body: {} };
+    const operation = { 'x-slam-requests': route.count, parameters: [] };
+
+    pathParams(path).forEach(name => {
+        const field = schema.params[name];
+        operation.parameters.push({ name, in: 'path', required: true, schema: field ? schemaOf(field) : { type: 'string' } });
+    });
+
+    Object.keys(schema.query).sort().forEach(name => {
+        const field = schema.query[name];
+        operation.parameters.push({
+            name,
+            in: 'query',
+            required: field.count === schema.count,
+            schema: schemaOf(field),
+            'x-slam-frequency': Math.round((field.count / schema.count) * 1000) / 1000
+        });
+    });
+
+    if (!operation.parameters.length) delete operation.parameters;
+
+    const body = Object.keys(schema.body);
+    if (body.length) {
+        operation.requestBody = {
+            content: {
+                'application/json': {
+                    schema: {
+                        type: 'object',
+                        properties: propertiesOf(schema.body),
+                        required: body.filter(key => schema.body[key].count === schema.count).sort()
+                    }
+                }
+            }
+        };
+
+        if (!operation.requestBody.content['application/json'].schema.required.length) delete operation.requestBody.content['application/json'].schema.required;
+    }
+
+    operation.responses = {};
+    Object.keys(route.statusCodes).sort().forEach(code => {
+        operation.responses[code] = { description: http.STATUS_CODES[code] || 'Status ' + code, 'x-slam-count': route.statusCodes[code].count };
+    });
+
+    return operation;
+}
+
+/**
+ * Document of the routes in a counts object (finest resolution)
+ *   options: { title, ignore(path) -> true to leave a route out }
+ */
+function render (counts, options) {
+    const doc = {
+        openapi: '3.0.3',
+        info: { title: options.title, version: 'observed', description: 'Generated by SLAM from observed traffic.' },
+        paths: {}
+    };
+
+    const operations = [];
+
+    Object.keys(counts).forEach(key => {
+        const i = key.indexOf(' ');
+        const method = key.slice(0, i).toLowerCase();
+        const path = key.slice(i + 1);
+
+        if (path.charAt(0) !== '/' || METHODS.indexOf(method) < 0) return; // 'unknown route'
+        if (options.ignore && options.ignore(path)) return;
+
+        variantsOf(path).forEach(variant => operations.push({ key, method, path: variant, template: toTemplate(variant) }));
+    });
+
+    operations.sort((a, b) => a.template.localeCompare(b.template) || METHODS.indexOf(a.method) - METHODS.indexOf(b.method));
+
+    operations.forEach(o => {
+        if (!doc.paths[o.template]) doc.paths[o.template] = {};
+        doc.paths[o.template][o.method] = operationOf(counts[o.key], o.path);
+    });
+
+    return doc;
+}
+
+module.exports = { render, toTemplate };
@@ -0,0 +1,525 @@
+/**
+ * Options for the module factory
+ *
+ * Every option falls back to its SLAM_* environment variable, then to its
+ * default. Bad values and unknown options throw a TypeError naming the option.
+ */
+const os = require('os');
+const { validateStore } = require('./storage');
+const { createAllowList } = require('./auth');
+const { URL } = require('url');
+
+const DEFAULT_PATHS = {
+    monitor: '/monitor',
+    counts: '/slamCounts',
+    systemMetrics: '/slamSystemMetrics',
+    health: '/slamHealth',
+    metrics: '/slamMetrics',
+    alerts: '/slamAlerts',
+    requests: '/slamRequests',
+    live: '/slamLive',
+    schema: '/slamSchema',
+    openapi: '/slamOpenApi',
+    clients: '/slamClients',
+    export: '/slamExport',
+    anomalies: '/slamAnomalies',
+    slos: '/slamSlos',
+    ingest: '/slamIngest'
+};
+
+const DEFAULT_THRESHOLDS = {
+    longRequestMs: 5000,
+    errorRate: 5,
+    warningErrorRate: 10,
+    memoryGrowth: 1.5,
+    eventLoopLagMs: 100
+};
+
+const KNOWN = [
+    'paths', 'pageTitle', 'hostname', 'segmentSize', 'retention', 'resolutions', 'thresholds',
+    'auth', 'alerts', 'requestLog', 'requestId', 'clients', 'anomalies', 'slos', 'unmatched', 'include', 'exclude', 'sampleRate', 'sampling', 'trackOwnRoutes', 'cspNonce', 'logLongRequests', 'systemInterval', 'debug', 'storage', 'storagePath', 'storageInterval', 'cluster', 'clusterInterval', 'hub', 'push'
+];
+
+const UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+function fail (name, expected, value) {
+    throw new TypeError(`[Slam] options.${ name } must be ${ expected }, got ${ JSON.stringify(value) }`);
+}
+
+// Duration in ms, from a number of ms or a string like '500ms', '5m', '2h' or '7d'
+function parseDuration (value, name) {
+    if (typeof value === 'number' && value > 0 && isFinite(value)) return value;
+
+    const match = typeof value === 'string' && value.trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?$/);
+    if (!match || !(+match[1] > 0)) fail(name, 'a positive duration (ms, or a string like "5m", "2h", "7d")', value);
+
+    return +match[1] * UNITS[match[2] || 'ms'];
+}
+
+function parseBoolean (value, name) {
+    if (typeof value === 'boolean') return value;
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    fail(name, 'a boolean', value);
+}
+
+function parseNumber (value, name) {
+    const n = typeof value === 'string' && value.trim() !== '' ? +value : value;
+    if (typeof n !== 'number' || !(n >= 0) || !isFinite(n)) fail(name, 'a non-negative number', value);
+    return n;
+}
+
+// Rollup resolutions, from a list of { segmentSize, retention } or a string like '1h:7d,1d:30d'
+function parseResolutions (value) {
+    if (typeof value === 'string') {
+        value = value.split(',').filter(Boolean).map(pair => {
+            const parts = pair.split(':');
+            if (parts.length !== 2) fail('resolutions', 'a list of "segmentSize:retention" pairs', value);
+            return { segmentSize: parts[0], retention: parts[1] };
+        });
+    }
+
+    if (!Array.isArray(value)) fail('resolutions', 'an array of { segmentSize, retention }', value);
+
+    return value.map((r, i) => {
+        if (!r || typeof r !== 'object') fail(`resolutions[${ i }]`, 'an object { segmentSize, retention }', r);
+
+        const segmentSize = parseDuration(r.segmentSize, `resolutions[${ i }].segmentSize`);
+        const retention = parseDuration(r.retention, `resolutions[${ i }].retention`);
+
+        if (retention < segmentSize) fail(`resolutions[${ i }].retention`, `at least its segmentSize (${ segmentSize }ms)`, r.retention);
+
+        return { segmentSize, retention, segments: Math.ceil(retention / segmentSize) };
+    });
+}
+
+// Auth config from options.auth, falling back to SLAM_BASIC_AUTH ('user:pass,...'),
+// SLAM_BEARER_TOKEN ('token,...') and SLAM_ALLOW_IPS ('127.0.0.1,10.0.0.0/8,...')
+function parseAuth (auth, env) {
+    if (auth !== undefined && (!auth || typeof auth !== 'object')) fail('auth', 'an object', auth);
+    auth = auth || {};
+
+    Object.keys(auth).forEach(k => {
+        if (['basic', 'bearer', 'allowIps', 'middleware'].indexOf(k) < 0) throw new TypeError(`[Slam] unknown auth option "${ k }" (known: basic, bearer, allowIps, middleware)`);
+    });
+
+    const list = v => v === undefined || v === null ? [] : [].concat(v);
+    const csv = v => v ? v.split(',').map(x => x.trim()).filter(Boolean) : [];
+
+    const basic = list(auth.basic !== undefined ? auth.basic : csv(env.SLAM_BASIC_AUTH).map(pair => {
+        const i = pair.indexOf(':');
+        return { username: pair.slice(0, i), password: i < 0 ? '' : pair.slice(i + 1) };
+    }));
+    const bearer = list(auth.bearer !== undefined ? auth.bearer : csv(env.SLAM_BEARER_TOKEN));
+    const allowIps = list(auth.allowIps !== undefined ? auth.allowIps : csv(env.SLAM_ALLOW_IPS));
+    const middleware = list(auth.middleware);
+
+    // Credentials are never echoed back in errors
+    basic.forEach((u, i) => {
+        if (!u || typeof u.username !== 'string' || typeof u.password !== 'string' || !u.password) fail(`auth.basic[${ i }]`, 'an object { username, password } with a non-empty password', '(hidden)');
+    });
+    bearer.forEach((token, i) => {
+        if (typeof token !== 'string' || !token) fail(`auth.bearer[${ i }]`, 'a non-empty string', '(hidden)');
+    });
+    middleware.forEach((fn, i) => {
+        if (typeof fn !== 'function') fail(`auth.middleware[${ i }]`, 'an Express middleware function', typeof fn);
+    });
+    if (allowIps.length) createAllowList(allowIps);
+
+    if (!basic.length && !bearer.length && !allowIps.length && !middleware.length) return null;
+    return { basic, bearer, allowIps, middleware };
+}
+
+// Alerting config: { rules, webhook, onAlert, interval }, webhook falls back to SLAM_ALERT_WEBHOOK
+function parseAlerts (alerts, env) {
+    if (alerts === undefined || alerts === null) return null;
+    if (typeof alerts !== 'object') fail('alerts', 'an object', alerts);
+
+    Object.keys(alerts).forEach(k => {
+        if (['rules', 'webhook', 'onAlert', 'interval'].indexOf(k) < 0) throw new TypeError(`[Slam] unknown alerts option "${ k }" (known: rules, webhook, onAlert, interval)`);
+    });
+
+    if (!Array.isArray(alerts.rules) || !alerts.rules.length) fail('alerts.rules', 'a non-empty array', alerts.rules);
+
+    const names = {};
+    const rules = alerts.rules.map((r, i) => {
+        const name = `alerts.rules[${ i }]`;
+
+        if (!r || typeof r !== 'object') fail(name, 'an object', r);
+        if (['errorRate', 'latency', 'memoryGrowth', 'load'].indexOf(r.type) < 0) fail(`${ name }.type`, 'one of errorRate, latency, memoryGrowth, load', r.type);
+        if (typeof r.threshold !== 'number' || !isFinite(r.threshold)) fail(`${ name }.threshold`, 'a number', r.threshold);
+        if (r.route !== undefined && typeof r.route !== 'string' && !(r.route instanceof RegExp)) fail(`${ name }.route`, 'a "METHOD route" string or a RegExp', r.route);
+
+        const percentile = r.percentile === undefined ? 'p95' : r.percentile;
+        if (['p50', 'p90', 'p95', 'p99', 'avg', 'max'].indexOf(percentile) < 0) fail(`${ name }.percentile`, 'one of p50, p90, p95, p99, avg, max', r.percentile);
+
+        const clearThreshold = r.clearThreshold === undefined ? r.threshold : r.clearThreshold;
+        if (typeof clearThreshold !== 'number' || clearThreshold > r.threshold) fail(`${ name }.clearThreshold`, `a number not above threshold (${ r.threshold })`, r.clearThreshold);
+
+        const rule = {
+            name: r.name || `${ r.type }-${ i }`,
+            type: r.type,
+            route: r.route,
+            percentile,
+            threshold: r.threshold,
+            clearThreshold,
+            cooldown: parseDuration(pick(r.cooldown, '10m'), `${ name }.cooldown`),
+            minRequests: parseNumber(pick(r.minRequests, 10), `${ name }.minRequests`),
+            minStatus: parseNumber(pick(r.minStatus, 400), `${ name }.minStatus`)
+        };
+
+        if (names[rule.name]) fail(`${ name }.name`, 'unique', rule.name);
+        names[rule.name] = true;
+
+        return rule;
+    });
+
+    let webhook = pick(alerts.webhook, env.SLAM_ALERT_WEBHOOK) || null;
+    if (typeof webhook === 'string') webhook = { url: webhook };
+
+    if (webhook) {
+        try {
+            new URL(webhook.url);
+        } catch(e) {
+            fail('alerts.webhook', 'a URL or { url, headers }', webhook.url);
+        }
+        webhook = { url: webhook.url, headers: webhook.headers || {} };
+    }
+
+    if (alerts.onAlert !== undefined && typeof alerts.onAlert !== 'function') fail('alerts.onAlert', 'a function', typeof alerts.onAlert);
+
+    return {
+        rules,
+        webhook,
+        onAlert: alerts.onAlert || null,
+        interval: parseDuration(pick(alerts.interval, '30s'), 'alerts.interval')
+    };
+}
+
+// Service level objectives: [{ name, route, objective, latencyMs, window }]
+function parseSlos (slos) {
+    if (slos === undefined || slos === null) return [];
+    if (!Array.isArray(slos)) fail('slos', 'an array', slos);
+
+    const names = {};
+
+    return slos.map((o, i) => {
+        const name = `slos[${ i }]`;
+
+        if (!o || typeof o !== 'object') fail(name, 'an object', o);
+
+        Object.keys(o).forEach(k => {
+            if (['name', 'route', 'objective', 'latencyMs', 'window'].indexOf(k) < 0) throw new TypeError(`[Slam] unknown ${ name } option "${ k }" (known: name, route, objective, latencyMs, window)`);
+        });
+
+        if (o.route !== undefined && !(typeof o.route === 'string' && o.route) && !(o.route instanceof RegExp)) fail(`${ name }.route`, 'a "METHOD route" string, a pattern or a RegExp', o.route);
+        if (typeof o.objective !== 'number' || !(o.objective > 0 && o.objective < 100)) fail(`${ name }.objective`, 'a percentage between 0 and 100 (excluded)', o.objective);
+        if (o.latencyMs !== undefined && !(typeof o.latencyMs === 'number' && o.latencyMs > 0)) fail(`${ name }.latencyMs`, 'a positive number', o.latencyMs);
+
+        const slo = {
+            name: o.name !== undefined ? o.name : String(o.route || `slo-${ i }`),
+            route: o.route || null,
+            objective: o.objective,
+            latencyMs: o.latencyMs || null,
+            window: parseDuration(pick(o.window, '30d'), `${ name }.window`)
+        };
+
+        if (typeof slo.name !== 'string' || !slo.name) fail(`${ name }.name`, 'a non-empty string', o.name);
+        if (names[slo.name]) fail(`${ name }.name`, 'unique', slo.name);
+        names[slo.name] = true;
+
+        return slo;
+    });
+}
+
+// Slow & failed request log: { size, minStatus }, or null when disabled (size 0 or false)
+function parseRequestLog (requestLog, env) {
+    if (requestLog === false) return null;
+    if (requestLog !== undefined && (!requestLog || typeof requestLog !== 'object')) fail('requestLog', 'an object or false', requestLog);
+    requestLog = requestLog || {};
+
+    Object.keys(requestLog).forEach(k => {
+        if (['size', 'minStatus'].indexOf(k) < 0) throw new TypeError(`[Slam] unknown requestLog option "${ k }" (known: size, minStatus)`);
+    });
+
+    const size = Math.floor(parseNumber(pick(requestLog.size, env.SLAM_REQUEST_LOG_SIZE, 200), 'requestLog.size'));
+    if (!size) return null;
+
+    return { size, minStatus: parseNumber(pick(requestLog.minStatus, 400), 'requestLog.minStatus') };
+}
+
+// Unmatched requests: { maxPatterns }, or false to count them all as 'unknown route'
+function parseUnmatched (unmatched, env) {
+    if (unmatched === false) return null;
+    if (unmatched !== undefined && (!unmatched || typeof unmatched !== 'object')) fail('unmatched', 'an object or false', unmatched);
+    unmatched = unmatched || {};
+
+    Object.keys(unmatched).forEach(k => {
+        if (k !== 'maxPatterns') throw new TypeError(`[Slam] unknown unmatched option "${ k }" (known: maxPatterns)`);
+    });
+
+    return { maxPatterns: Math.floor(parseNumber(pick(unmatched.maxPatterns, env.SLAM_MAX_UNMATCHED_ROUTES, 100), 'unmatched.maxPatterns')) };
+}
+
+// Per-client breakdown: { key, capacity, redact }, or null when disabled (the default)
+// key is 'ip', 'user', 'header:<name>' or a function (req) -> string, and falls back to SLAM_CLIENT_KEY
+function parseClients (clients, env) {
+    if (clients === false) return null;
+    if (clients !== undefined && (!clients || typeof clients !== 'object')) fail('clients', 'an object or false', clients);
+    clients = clients || {};
+
+    Object.keys(clients).forEach(k => {
+        if (['key', 'capacity', 'redact'].indexOf(k) < 0) throw new TypeError(`[Slam] unknown clients option "${ k }" (known: key, capacity, redact)`);
+    });
+
+    const key = pick(clients.key, env.SLAM_CLIENT_KEY);
+    if (key === undefined) return null;
+
+    if (typeof key !== 'function' && key !== 'ip' && key !== 'user' && !(typeof key === 'string' && /^header:[\w-]+$/i.test(key))) {
+        fail('clients.key', 'one of "ip", "user", "header:<name>" or a function (req) -> string', key);
+    }
+
+    const capacity = Math.floor(parseNumber(pick(clients.capacity, env.SLAM_CLIENT_CAPACITY, 20), 'clients.capacity'));
+    if (!capacity) fail('clients.capacity', 'at least 1', clients.capacity || env.SLAM_CLIENT_CAPACITY);
+
+    return {
+        key,
+        capacity,
+        redact: clients.redact !== undefined ? parseBoolean(clients.redact, 'clients.redact') : true
+    };
+}
+
+// Anomaly detection: { threshold, alpha, warmup, minCount }, or null when disabled
+function parseAnomalies (anomalies, env) {
+    if (anomalies === false) return null;
+    if (anomalies !== undefined && (!anomalies || typeof anomalies !== 'object')) fail('anomalies', 'an object or false', anomalies);
+    anomalies = anomalies || {};
+
+    Object.keys(anomalies).forEach(k => {
+        if (['threshold', 'alpha', 'warmup', 'minCount'].indexOf(k) < 0) throw new TypeError(`[Slam] unknown anomalies option "${ k }" (known: threshold, alpha, warmup, minCount)`);
+    });
+
+    const threshold = parseNumber(pick(anomalies.threshold, env.SLAM_ANOMALY_THRESHOLD, 3), 'anomalies.threshold');
+    const alpha = parseNumber(pick(anomalies.alpha, 0.3), 'anomalies.alpha');
+    const warmup = Math.floor(parseNumber(pick(anomalies.warmup, 6), 'anomalies.warmup'));
+
+    if (!(threshold > 0)) fail('anomalies.threshold', 'a positive number', pick(anomalies.threshold, env.SLAM_ANOMALY_THRESHOLD));
+    if (!(alpha > 0 && alpha <= 1)) fail('anomalies.alpha', 'a number between 0 (excluded) and 1', anomalies.alpha);
+    if (warmup < 2) fail('anomalies.warmup', 'at least 2', anomalies.warmup);
+
+    return { threshold, alpha, warmup, minCount: parseNumber(pick(anomalies.minCount, 10), 'anomalies.minCount') };
+}
+
+function isPattern (p) {
+    return typeof p === 'string' || typeof p === 'function' || p instanceof RegExp;
+}
+
+// Route patterns: a string, glob, RegExp or predicate, a list of them, or a comma-separated string
+function parsePatterns (value, name) {
+    if (value === undefined || value === null || value === '') return [];
+    if (typeof value === 'string') return value.split(',').map(s => s.trim()).filter(Boolean);
+
+    return [].concat(value).map((p, i) => {
+        if (!isPattern(p)) fail(`${ name }[${ i }]`, 'a string, RegExp or function', p);
+        return p;
+    });
+}
+
+function parseRate (value, name) {
+    const rate = parseNumber(value, name);
+    if (rate > 1) fail(name, 'a rate between 0 and 1', value);
+    return rate;
+}
+
+// Per-route sampling rates: [{ route, rate }]
+function parseSampling (sampling) {
+    if (sampling === undefined) return [];
+    if (!Array.isArray(sampling)) fail('sampling', 'an array of { route, rate }', sampling);
+
+    return sampling.map((rule, i) => {
+        if (!rule || typeof rule !== 'object') fail(`sampling[${ i }]`, 'a { route, rate } object', rule);
+        if (!isPattern(rule.route)) fail(`sampling[${ i }].route`, 'a string, RegExp or function', rule.route);
+
+        return { route: rule.route, rate: parseRate(rule.rate, `sampling[${ i }].rate`) };
+    });
+}
+
+// Request ID header: { header, trustIncoming, responseHeader }, header falls back to SLAM_REQUEST_ID_HEADER
+function parseRequestId (requestId, env) {
+    if (requestId !== undefined && (!requestId || typeof requestId !== 'object')) fail('requestId', 'an object', requestId);
+    requestId = requestId || {};
+
+    Object.keys(requestId).forEach(k => {
+        if (['header', 'trustIncoming', 'responseHeader'].indexOf(k) < 0) throw new TypeError(`[Slam] unknown requestId option "${ k }" (known: header, trustIncoming, responseHeader)`);
+    });
+
+    const header = requestId.header !== undefined ? requestId.header : pick(env.SLAM_REQUEST_ID_HEADER, 'X-Request-Id');
+    if (header !== false && (typeof header !== 'string' || !/^[\w-]+$/.test(header))) fail('requestId.header', 'a header name or false', header);
+
+    return {
+        header,
+        trustIncoming: requestId.trustIncoming !== undefined ? parseBoolean(requestId.trustIncoming, 'requestId.trustIncoming') : true,
+        responseHeader: requestId.responseHeader !== undefined ? parseBoolean(requestId.responseHeader, 'requestId.responseHeader') : true
+    };
+}
+
+// Hub mode: { staleAfter, interval }, or null (the default); true or SLAM_HUB=true for the defaults
+function parseHub (hub, env) {
+    if (hub === undefined) hub = env.SLAM_HUB ? parseBoolean(env.SLAM_HUB, 'hub') : false;
+    if (hub === false) return null;
+    if (hub !== true && (!hub || typeof hub !== 'object')) fail('hub', 'true, false or an object', hub);
+    if (hub === true) hub = {};
+
+    Object.keys(hub).forEach(k => {
+        if (['staleAfter', 'interval'].indexOf(k) < 0) throw new TypeError(`[Slam] unknown hub option "${ k }" (known: staleAfter, interval)`);
+    });
+
+    return {
+        staleAfter: parseDuration(pick(hub.staleAfter, env.SLAM_HUB_STALE_AFTER, '1m'), 'hub.staleAfter'),
+        interval: parseDuration(pick(hub.interval, '10s'), 'hub.interval')
+    };
+}
+
+// Pushing to a hub: { url, headers, interval }, from a URL or an object; url falls back to SLAM_PUSH_URL,
+// and SLAM_PUSH_TOKEN adds an Authorization: Bearer header
+function parsePush (push, env) {
+    if (push === false) return null;
+    if (typeof push === 'string') push = { url: push };
+    if (push !== undefined && (!push || typeof push !== 'object')) fail('push', 'a URL, an object or false', push);
+    push = push || {};
+
+    Object.keys(push).forEach(k => {
+        if (['url', 'headers', 'interval'].indexOf(k) < 0) throw new TypeError(`[Slam] unknown push option "${ k }" (known: url, headers, interval)`);
+    });
+
+    const url = pick(push.url, env.SLAM_PUSH_URL);
+    if (!url) return null;
+
+    try {
+        new URL(url);
+    } catch(e) {
+        fail('push.url', 'a URL', url);
+    }
+
+    if (push.headers !== undefined && (!push.headers || typeof push.headers !== 'object')) fail('push.headers', 'an object', push.headers);
+
+    const headers = Object.assign({}, push.headers);
+    if (env.SLAM_PUSH_TOKEN && !Object.keys(headers).some(h => h.toLowerCase() === 'authorization')) headers.Authorization = `Bearer ${ env.SLAM_PUSH_TOKEN }`;
+
+    return {
+        url,
+        headers,
+        interval: parseDuration(pick(push.interval, env.SLAM_PUSH_INTERVAL, '10s'), 'push.interval')
+    };
+}
+
+// First value that is set
+function pick () {
+    for (let i = 0; i < arguments.length; i++) {
+        if (arguments[i] !== undefined && arguments[i] !== null && arguments[i] !== '') return arguments[i];
+    }
+}
+
+/**
+ * Normalize the factory options, with env as fallback (defaults to process.env)
+ */
+function resolveOptions (options, env) {
+    options = options || {};
+    env = env || process.env;
+
+    if (typeof options !== 'object') fail('', 'an object', options);
+
+    Object.keys(options).forEach(k => {
+        if (KNOWN.indexOf(k) < 0) throw new TypeError(`[Slam] unknown option "${ k }" (known options: ${ KNOWN.join(', ') })`);
+    });
+
+    // Route paths, `false` disables an endpoint
+    const paths = Object.assign({}, DEFAULT_PATHS, { monitor: pick(env.SLAM_MONITOR_PATH, DEFAULT_PATHS.monitor) });
+
+    if (options.paths !== undefined && (!options.paths || typeof options.paths !== 'object')) fail('paths', 'an object', options.paths);
+
+    Object.keys(options.paths || {}).forEach(k => {
+        const v = options.paths[k];
+
+        if (!(k in DEFAULT_PATHS)) throw new TypeError(`[Slam] unknown path "${ k }" (known paths: ${ Object.keys(DEFAULT_PATHS).join(', ') })`);
+        if (v !== false && (typeof v !== 'string' || v[0] !== '/')) fail(`paths.${ k }`, 'a path starting with "/" or false', v);
+
+        paths[k] = v;
+    });
+
+    // Segment size & retention window, then coarser rollups
+    const segmentSize = parseDuration(pick(options.segmentSize, env.SLAM_SEGMENT_SIZE, '5m'), 'segmentSize');
+    const retention = parseDuration(pick(options.retention, env.SLAM_RETENTION, '2h'), 'retention');
+
+    if (retention < segmentSize) fail('retention', `at least segmentSize (${ segmentSize }ms)`, options.retention || env.SLAM_RETENTION);
+
+    const resolutions = [{ segmentSize, retention, segments: Math.ceil(retention / segmentSize) }];
+
+    parseResolutions(pick(options.resolutions, env.SLAM_RESOLUTIONS, [])).forEach(r => {
+        if (resolutions.some(o => o.segmentSize === r.segmentSize)) fail('resolutions', 'a list of distinct segment sizes', options.resolutions || env.SLAM_RESOLUTIONS);
+        resolutions.push(r);
+    });
+
+    resolutions.sort((a, b) => a.segmentSize - b.segmentSize);
+
+    // Thresholds
+    const thresholds = Object.assign({}, DEFAULT_THRESHOLDS);
+
+    if (options.thresholds !== undefined && (!options.thresholds || typeof options.thresholds !== 'object')) fail('thresholds', 'an object', options.thresholds);
+    if (env.SLAM_MAX_REQUEST_LENGTH) thresholds.longRequestMs = parseNumber(env.SLAM_MAX_REQUEST_LENGTH, 'thresholds.longRequestMs');
+
+    Object.keys(options.thresholds || {}).forEach(k => {
+        if (!(k in DEFAULT_THRESHOLDS)) throw new TypeError(`[Slam] unknown threshold "${ k }" (known thresholds: ${ Object.keys(DEFAULT_THRESHOLDS).join(', ') })`);
+        thresholds[k] = parseNumber(options.thresholds[k], `thresholds.${ k }`);
+    });
+
+    const storage = options.storage ? validateStore(options.storage) : null;
+
+    if (options.pageTitle !== undefined && typeof options.pageTitle !== 'string') fail('pageTitle', 'a string', options.pageTitle);
+    if (options.hostname !== undefined && typeof options.hostname !== 'string') fail('hostname', 'a string', options.hostname);
+
+    if (options.cspNonce !== undefined && typeof options.cspNonce !== 'function') fail('cspNonce', 'a function (req, res) returning the nonce', typeof options.cspNonce);
+
+    // Anyone able to reach the ingest endpoint could write to the fleet's statistics
+    const auth = parseAuth(options.auth, env);
+    const hub = parseHub(options.hub, env);
+
+    if (hub && paths.ingest && !auth) throw new TypeError('[Slam] hub mode needs auth (options.auth, SLAM_BEARER_TOKEN, SLAM_BASIC_AUTH or SLAM_ALLOW_IPS), so that only your instances can push statistics to paths.ingest');
+
+    return {
+        paths,
+        pageTitle: pick(options.pageTitle, env.SLAM_PAGE_TITLE, 'API Monitor'),
+        hostname: pick(options.hostname, env.SLAM_HOSTNAME, env.HOSTNAME, os.hostname()),
+        segmentSize: resolutions[0].segmentSize,
+        retention: resolutions[0].retention,
+        segments: resolutions[0].segments,
+        resolutions,
+        thresholds,
+        auth,
+        alerts: parseAlerts(options.alerts, env),
+        requestLog: parseRequestLog(options.requestLog, env),
+        requestId: parseRequestId(options.requestId, env),
+        clients: parseClients(options.clients, env),
+        anomalies: parseAnomalies(options.anomalies, env),
+        slos: parseSlos(options.slos),
+        unmatched: parseUnmatched(options.unmatched, env),
+        include: parsePatterns(pick(options.include, env.SLAM_INCLUDE), 'include'),
+        exclude: parsePatterns(pick(options.exclude, env.SLAM_EXCLUDE), 'exclude'),
+        sampleRate: parseRate(pick(options.sampleRate, env.SLAM_SAMPLE_RATE, 1), 'sampleRate'),
+        sampling: parseSampling(options.sampling),
+        trackOwnRoutes: parseBoolean(pick(options.trackOwnRoutes, env.SLAM_TRACK_OWN_ROUTES, false), 'trackOwnRoutes'),
+        cspNonce: options.cspNonce || null,
+        logLongRequests: options.logLongRequests !== undefined ? parseBoolean(options.logLongRequests, 'logLongRequests') : env.SLAM_LOG_LONG_REQUESTS !== 'false',
+        systemInterval: parseDuration(pick(options.systemInterval, env.SLAM_SYSTEM_INTERVAL, '10s'), 'systemInterval'),
+        debug: options.debug !== undefined ? parseBoolean(options.debug, 'debug') : env.SLAM_DEBUG === 'true',
+        storage,
+        storagePath: pick(options.storagePath, env.SLAM_STORAGE_PATH) || null,
+        storageInterval: parseDuration(pick(options.storageInterval, env.SLAM_STORAGE_INTERVAL, 60000), 'storageInterval'),
+        cluster: options.cluster !== undefined ? parseBoolean(options.cluster, 'cluster') : true,
+        clusterInterval: parseDuration(pick(options.clusterInterval, env.SLAM_CLUSTER_INTERVAL, 5000), 'clusterInterval'),
+        hub,
+        push: parsePush(options.push, env)
+    };
+}
+
+module.exports = { DEFAULT_PATHS, DEFAULT_THRESHOLDS, parseDuration, resolveOptions };
@@ -0,0 +1,37 @@
+/**
+ * POST a JSON body to a URL, resolves to { statusCode, body } on a 2xx answer
+ */
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+
+function postJson (url, body, headers, timeout) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const data = JSON.stringify(body);
+        const client = target.protocol === 'https:' ? https : http;
+
+        const req = client.request(target, {
+            method: 'POST',
+            headers: Object.assign({
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(data)
+            }, headers || {})
+        }, res => {
+            let text = '';
+
+            res.setEncoding('utf8');
+            res.on('data', chunk => { text += chunk; });
+            res.on('end', () => {
+                if (res.statusCode >= 200 && res.statusCode < 300) return resolve({ statusCode: res.statusCode, body: text });
+                reject(new Error(`POST ${ target.origin }${ target.pathname } answered ${ res.statusCode }`));
+            });
+        });
+
+        req.setTimeout(timeout || 5000, () => req.destroy(new Error(`POST ${ target.origin }${ target.pathname } timed out`)));
+        req.on('error', reject);
+        req.end(data);
+    });
+}
+
+module.exports = postJson;
@@ -0,0 +1,129 @@
+/**
+ * Prometheus / OpenMetrics text exposition of SLAM statistics
+ *
+ * Duration buckets are derived from the log-spaced latency histograms, so a
+ * sample may be counted up to one histogram bucket (~5%) above its `le`.
+ */
+const histogram = require('./histogram');
+
+const CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+// Upper bounds of the duration histogram, in seconds
+const BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Escape a label value
+function escape (v) {
+    return String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+// Format a label set, e.g. {method="GET",route="/users"}
+function labels (o) {
+    const keys = Object.keys(o || {});
+    if (!keys.length) return '';
+    return '{' + keys.map(k => `${ k }="${ escape(o[k]) }"`).join(',') + '}';
+}
+
+// Split a "METHOD route" key
+function splitKey (key) {
+    const i = key.indexOf(' ');
+    return i < 0 ? { method: key, route: '' } : { method: key.slice(0, i), route: key.slice(i + 1) };
+}
+
+// Render a view ({ counts, current }) and its health summary as OpenMetrics text
+function render (view, health) {
+    let out = [];
+
+    // Metric family header
+    function family (name, type, help) {
+        out.push(`# TYPE ${ name } ${ type }`);
+        out.push(`# HELP ${ name } ${ help }`);
+    }
+
+    function sample (name, labelSet, value) {
+        out.push(`${ name }${ labels(labelSet) } ${ Number.isFinite(value) ? value : 0 }`);
+    }
+
+    const counts = view.counts || {};
+    const keys = Object.keys(counts);
+
+    family('slam_http_requests', 'counter', 'HTTP requests by method, route and status code.');
+    keys.forEach(key => {
+        const k = splitKey(key);
+        const codes = counts[key].statusCodes || {};
+
+        Object.keys(codes).forEach(code => {
+            sample('slam_http_requests_total', { method: k.method, route: k.route, code }, codes[code].count);
+        });
+    });
+
+    family('slam_http_request_duration_seconds', 'histogram', 'HTTP request duration by method and route.');
+    keys.forEach(key => {
+        const k = splitKey(key);
+        const route = counts[key];
+        const buckets = route.histogram || {};
+        const cumulative = BUCKETS.map(() => 0);
+
+        Object.keys(buckets).forEach(b => {
+            const seconds = histogram.upperBound(+b) / 1000;
+
+            BUCKETS.forEach((le, i) => {
+                if (seconds <= le) cumulative[i] += buckets[b];
+            });
+        });
+
+        BUCKETS.forEach((le, i) => {
+            sample('slam_http_request_duration_seconds_bucket', { method: k.method, route: k.route, le: String(le) }, Math.min(cumulative[i], route.count));
+        });
+        sample('slam_http_request_duration_seconds_bucket', { method: k.method, route: k.route, le: '+Inf' }, route.count);
+        sample('slam_http_request_duration_seconds_count', { method: k.method, route: k.route }, route.count);
+        sample('slam_http_request_duration_seconds_sum', { method: k.method, route: k.route }, route.avgDurationMs * route.count / 1000);
+    });
+
+    const memory = view.current.memory || {};
+    const cpu = view.current.cpu || {};
+
+    family('slam_process_memory_bytes', 'gauge', 'Process memory usage by type.');
+    ['rss', 'heapUsed', 'heapTotal', 'external', 'arrayBuffers'].forEach(type => {
+        if (memory[type] !== undefined) sample('slam_process_memory_bytes', { type }, memory[type]);
+    });
+
+    family('slam_process_heap_limit_bytes', 'gauge', 'V8 heap size limit.');
+    sample('slam_process_heap_limit_bytes', null, view.current.heapLimit);
+
+    family('slam_process_cpu_seconds', 'counter', 'Process CPU time by mode.');
+    sample('slam_process_cpu_seconds_total', { mode: 'user' }, (cpu.user || 0) / 1e6);
+    sample('slam_process_cpu_seconds_total', { mode: 'system' }, (cpu.system || 0) / 1e6);
+
+    family('slam_system_load_average', 'gauge', 'System load average.');
+    ['1m', '5m', '15m'].forEach((period, i) => {
+        sample('slam_system_load_average', { period }, health.system.cpu.loadAverage[i]);
+    });
+
+    family('slam_system_cpu_cores', 'gauge', 'Number of CPU cores.');
+    sample('slam_system_cpu_cores', null, health.system.cpu.cores);
+
+    const eventLoop = health.system.eventLoop;
+
+    family('slam_event_loop_delay_seconds', 'gauge', 'Event-loop delay of the last sample, by statistic.');
+    if (eventLoop) ['mean', 'p99', 'max'].forEach(stat => {
+        sample('slam_event_loop_delay_seconds', { stat }, eventLoop[stat] / 1000);
+    });
+
+    family('slam_process_active_handles', 'gauge', 'Active libuv handles at the last sample.');
+    if (health.system.handles !== null) sample('slam_process_active_handles', null, health.system.handles);
+
+    family('slam_process_uptime_seconds', 'gauge', 'Process uptime.');
+    sample('slam_process_uptime_seconds', null, health.system.uptime);
+
+    family('slam_health', 'gauge', 'Health checks from /slamHealth (1 when the condition is detected).');
+    sample('slam_health', { check: 'memory_pressure' }, health.health.memoryPressure ? 1 : 0);
+    sample('slam_health', { check: 'high_error_rate' }, health.health.highErrorRate ? 1 : 0);
+    sample('slam_health', { check: 'high_load' }, health.health.highLoad ? 1 : 0);
+    sample('slam_health', { check: 'high_event_loop_lag' }, health.health.highEventLoopLag ? 1 : 0);
+    sample('slam_health', { check: 'warning' }, health.health.status === 'healthy' ? 0 : 1);
+
+    out.push('# EOF');
+    return out.join('\n') + '\n';
+}
+
+module.exports = { CONTENT_TYPE, BUCKETS, render };
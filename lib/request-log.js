@@ -0,0 +1,88 @@
+/**
+ * Bounded log of recent slow and failed requests
+ *
+ * Requests slower than `slowMs`, or answered with a status >= `minStatus`,
+ * are kept in a ring buffer of `size` entries; the oldest are overwritten.
+ */
+
+// Does a status code match a filter like '500', '5xx' or '4xx,5xx'?
+function matchesStatus (filter, statusCode) {
+    return String(filter).split(',').some(f => {
+        f = f.trim().toLowerCase();
+        if (/^\dxx$/.test(f)) return Math.floor(statusCode / 100) === +f[0];
+        return +f === statusCode;
+    });
+}
+
+function createRequestLog (options) {
+    const size = options.size;
+    const entries = new Array(size);
+    let next = 0;
+    let length = 0;
+
+    function add (entry) {
+        entries[next] = entry;
+        next = (next + 1) % size;
+        length = Math.min(length + 1, size);
+    }
+
+    // Newest first
+    function list () {
+        let out = [];
+        for (let i = 1; i <= length; i++) out.push(entries[(next - i + size) % size]);
+        return out;
+    }
+
+    return {
+        // Keep a finished request (res.slam) if it was slow or failed
+        record: function (req, slam) {
+            let reasons = [];
+            if (slam.durationMs > options.slowMs) reasons.push('slow');
+            if (slam.statusCode >= options.minStatus) reasons.push('error');
+            if (!reasons.length) return;
+
+            add({
+                requestId: slam.uuid,
+                timestamp: slam.timestamp,
+                key: slam.method,
+                method: req.method,
+                route: slam.method.slice(req.method.length + 1),
+                statusCode: slam.statusCode,
+                durationMs: Math.round(slam.durationMs * 100) / 100,
+                requestBytes: slam.requestBytes,
+                responseBytes: slam.responseBytes,
+                queryKeys: Object.keys(req.query || {}),
+                paramKeys: Object.keys(req.params || {}),
+                hostname: slam.hostname,
+                reasons
+            });
+        },
+
+        /**
+         * Entries matching a filter (all optional):
+         *   key ("METHOD route"), route, method, status ('500', '5xx', '4xx,5xx'),
+         *   type ('slow' or 'error'), since (ms timestamp), minDuration (ms), requestId, limit
+         */
+        query: function (filter) {
+            filter = filter || {};
+            const limit = Math.max(0, parseInt(filter.limit, 10) || 100);
+
+            return list().filter(e => {
+                if (filter.key && e.key !== filter.key) return false;
+                if (filter.route && e.route !== filter.route) return false;
+                if (filter.method && e.method !== String(filter.method).toUpperCase()) return false;
+                if (filter.status && !matchesStatus(filter.status, e.statusCode)) return false;
+                if (filter.type && e.reasons.indexOf(filter.type) < 0) return false;
+                if (filter.since && e.timestamp < +filter.since) return false;
+                if (filter.minDuration && e.durationMs < +filter.minDuration) return false;
+                if (filter.requestId && e.requestId !== filter.requestId) return false;
+                return true;
+            }).slice(0, limit);
+        },
+
+        size: () => length,
+        capacity: size
+    };
+}
+
+module.exports = { createRequestLog, matchesStatus };
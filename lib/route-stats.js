@@ -0,0 +1,203 @@
+/**
+ * Helpers for the per-route statistics kept in global.slamCounts
+ *
+ * Shape of one route:
+ *   { count, avgDurationMs, maxDurationMs, histogram, schema,
+ *     segments: { [segment]: entry },
+ *     statusCodes: { [code]: { count, segments: { [segment]: entry } } } }
+ *
+ * where an entry is { count, avgDurationMs, maxDurationMs, histogram,
+ *   requestBytes, maxRequestBytes, responseBytes, maxResponseBytes }
+ * (byte counts are totals, summaries add avgRequestBytes & avgResponseBytes).
+ * `schema` (see ./schema) is only kept at the finest resolution. When clients
+ * are tracked, routes and their segments also have `clients`, the heavy
+ * hitters (see ./heavy-hitters) of their client keys.
+ */
+const histogram = require('./histogram');
+const heavyHitters = require('./heavy-hitters');
+const { createSchema, mergeSchema, namespacesOf } = require('./schema');
+
+// Empty stats entry
+function createEntry () {
+    return { count: 0, avgDurationMs: 0, maxDurationMs: 0, histogram: {}, requestBytes: 0, maxRequestBytes: 0, responseBytes: 0, maxResponseBytes: 0 };
+}
+
+// Empty route
+function createRoute () {
+    return Object.assign(createEntry(), { segments: {}, statusCodes: {} });
+}
+
+// Add a request duration to a stats entry (count, average, max and histogram),
+// a sampled request stands for `weight` requests
+function recordDuration (entry, ms, weight) {
+    weight = weight || 1;
+
+    entry.avgDurationMs = ((ms * weight) + (entry.avgDurationMs * entry.count)) / (entry.count + weight);
+    entry.maxDurationMs = Math.max(entry.maxDurationMs || 0, ms);
+    entry.histogram = histogram.record(entry.histogram || {}, ms, weight);
+    entry.count += weight;
+}
+
+// Add a request's payload sizes ({ requestBytes, responseBytes }) to a stats entry
+function recordBytes (entry, sizes, weight) {
+    weight = weight || 1;
+
+    entry.requestBytes = (entry.requestBytes || 0) + sizes.requestBytes * weight;
+    entry.maxRequestBytes = Math.max(entry.maxRequestBytes || 0, sizes.requestBytes);
+    entry.responseBytes = (entry.responseBytes || 0) + sizes.responseBytes * weight;
+    entry.maxResponseBytes = Math.max(entry.maxResponseBytes || 0, sizes.responseBytes);
+}
+
+// Record one request in a counts object (keyed by "METHOD route"), returns its route
+function recordRequest (counts, method, statusCode, segment, ms, sizes, weight) {
+    if (!counts[method]) counts[method] = createRoute();
+
+    const route = counts[method];
+
+    if (!route.statusCodes[statusCode]) route.statusCodes[statusCode] = { count: 0, segments: {} };
+    route.statusCodes[statusCode].count += weight || 1;
+
+    // Compute avg, max & percentile request duration
+    recordDuration(route, ms, weight);
+
+    // Per route and per status code segments
+    const segments = route.statusCodes[statusCode].segments;
+
+    if (!route.segments[segment]) route.segments[segment] = createEntry();
+    if (!segments[segment]) segments[segment] = createEntry();
+
+    recordDuration(route.segments[segment], ms, weight);
+    recordDuration(segments[segment], ms, weight);
+
+    if (sizes) [route, route.segments[segment], segments[segment]].forEach(entry => recordBytes(entry, sizes, weight));
+
+    return route;
+}
+
+// Count a request of a client in a route and its segment (failed ones as errors too)
+function recordClient (route, segment, client, failed, weight, capacity) {
+    [route, route.segments[segment]].forEach(entry => {
+        if (!entry.clients) entry.clients = heavyHitters.create(capacity);
+        heavyHitters.add(entry.clients, client, weight, failed ? weight || 1 : 0);
+    });
+}
+
+// Merge the duration, size & client stats of one entry into another, returns target
+function mergeEntry (target, source) {
+    const count = target.count + source.count;
+
+    if (count) target.avgDurationMs = ((target.avgDurationMs * target.count) + (source.avgDurationMs * source.count)) / count;
+    target.maxDurationMs = Math.max(target.maxDurationMs || 0, source.maxDurationMs || 0);
+    target.histogram = histogram.merge(target.histogram || {}, source.histogram || {});
+    target.requestBytes = (target.requestBytes || 0) + (source.requestBytes || 0);
+    target.maxRequestBytes = Math.max(target.maxRequestBytes || 0, source.maxRequestBytes || 0);
+    target.responseBytes = (target.responseBytes || 0) + (source.responseBytes || 0);
+    target.maxResponseBytes = Math.max(target.maxResponseBytes || 0, source.maxResponseBytes || 0);
+    if (source.clients) target.clients = heavyHitters.merge(target.clients || heavyHitters.create(source.clients.capacity), source.clients);
+    target.count = count;
+
+    return target;
+}
+
+// Merge a segments object into another, returns target
+function mergeSegments (target, source) {
+    Object.keys(source || {}).forEach(seg => {
+        if (!target[seg]) target[seg] = createEntry();
+        mergeEntry(target[seg], source[seg]);
+    });
+
+    return target;
+}
+
+// Merge a route's stats into another, returns target
+function mergeRoute (target, source) {
+    mergeEntry(target, source);
+    target.segments = mergeSegments(target.segments || {}, source.segments);
+
+    Object.keys(source.statusCodes || {}).forEach(code => {
+        if (!target.statusCodes[code]) target.statusCodes[code] = { count: 0, segments: {} };
+
+        target.statusCodes[code].count += source.statusCodes[code].count;
+        mergeSegments(target.statusCodes[code].segments, source.statusCodes[code].segments);
+    });
+
+    if (source.schema) target.schema = mergeSchema(target.schema || createSchema(), source.schema);
+
+    return target;
+}
+
+// Merge every route of a counts object into another, returns target
+function mergeCounts (target, source) {
+    Object.keys(source || {}).forEach(method => {
+        if (!target[method]) target[method] = createRoute();
+        mergeRoute(target[method], source[method]);
+    });
+
+    return target;
+}
+
+// Drop segments older than minSegment from a route
+function pruneRoute (route, minSegment) {
+    const prune = segments => {
+        for (let k in segments) {
+            if (k < minSegment) delete segments[k];
+        }
+    };
+
+    prune(route.segments);
+    Object.keys(route.statusCodes).forEach(code => prune(route.statusCodes[code].segments));
+}
+
+// Copy of a stats entry with its raw histogram replaced by percentiles, and average sizes
+// (clients have their own endpoint)
+function summarizeEntry (entry) {
+    const out = Object.assign({}, entry);
+    delete out.histogram;
+    delete out.clients;
+    if (entry.histogram) out.percentiles = histogram.percentiles(entry.histogram, entry.maxDurationMs);
+    if (entry.count) {
+        out.avgRequestBytes = Math.round((entry.requestBytes || 0) / entry.count);
+        out.avgResponseBytes = Math.round((entry.responseBytes || 0) / entry.count);
+    }
+    return out;
+}
+
+// Copy of a route's stats, ready to be sent as JSON (the schema has its own endpoint,
+// `namespaces` keeps the top-level keys & types for older consumers)
+function summarizeRoute (route) {
+    const out = summarizeEntry(route);
+    delete out.schema;
+    out.namespaces = namespacesOf(route.schema || createSchema());
+    const summarizeSegments = segments => {
+        let o = {};
+        Object.keys(segments || {}).forEach(seg => { o[seg] = summarizeEntry(segments[seg]); });
+        return o;
+    };
+
+    out.segments = summarizeSegments(route.segments);
+    out.statusCodes = {};
+
+    Object.keys(route.statusCodes).forEach(code => {
+        out.statusCodes[code] = Object.assign({}, route.statusCodes[code], {
+            segments: summarizeSegments(route.statusCodes[code].segments)
+        });
+    });
+
+    return out;
+}
+
+module.exports = {
+    createEntry,
+    createRoute,
+    recordDuration,
+    recordBytes,
+    recordRequest,
+    recordClient,
+    mergeEntry,
+    mergeSegments,
+    mergeRoute,
+    mergeCounts,
+    pruneRoute,
+    summarizeEntry,
+    summarizeRoute
+};
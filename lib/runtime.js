@@ -0,0 +1,175 @@
+/**
+ * Runtime metrics sampled on a timer, whether or not requests arrive
+ *
+ * Each sample covers the time since the previous one and is folded into the
+ * segment it was taken in:
+ *
+ *   eventLoop[segment]  { samples, min, mean, p99, max }   event-loop delay in ms,
+ *                       p99 being the worst sample's p99
+ *   gc[segment]         { [kind]: { count, durationMs, maxMs } }   kind is major,
+ *                       minor, incremental or weakcb
+ *   handles[segment]    { handles, requests, maxHandles, maxRequests, resources }
+ *                       active libuv handles & requests at the last sample, and the peaks
+ *
+ * Event-loop delay is measured by perf_hooks.monitorEventLoopDelay, minus its
+ * RESOLUTION_MS timer interval, so an idle loop reports ~0ms.
+ */
+const { monitorEventLoopDelay, PerformanceObserver, constants } = require('perf_hooks');
+
+const KINDS = ['eventLoop', 'gc', 'handles'];
+const RESOLUTION_MS = 10;
+
+const GC_KINDS = {
+    [constants.NODE_PERFORMANCE_GC_MAJOR]: 'major',
+    [constants.NODE_PERFORMANCE_GC_MINOR]: 'minor',
+    [constants.NODE_PERFORMANCE_GC_INCREMENTAL]: 'incremental',
+    [constants.NODE_PERFORMANCE_GC_WEAKCB]: 'weakcb'
+};
+
+const round = v => Math.round(v * 100) / 100;
+
+// Event-loop delay histogram (ns) to ms, without the timer interval
+const lagOf = ns => round(Math.max(0, ns / 1e6 - RESOLUTION_MS));
+
+// Active resources by type ('TCPServerWrap', 'Timeout', 'FSReqCallback'...)
+function resourcesOf () {
+    let out = {};
+    if (typeof process.getActiveResourcesInfo !== 'function') return out;
+
+    process.getActiveResourcesInfo().forEach(type => { out[type] = (out[type] || 0) + 1; });
+    return out;
+}
+
+/**
+ * Sampler of the current process: sample() returns the metrics since the
+ * previous call, { eventLoop, gc, handles }, eventLoop being null when the
+ * loop was too busy to tick at all
+ */
+function createRuntime () {
+    const delay = monitorEventLoopDelay ? monitorEventLoopDelay({ resolution: RESOLUTION_MS }) : null;
+    let gc = {};
+    let last = null;
+
+    if (delay) delay.enable();
+
+    // GC pauses, counted as they are reported
+    let observer = null;
+    try {
+        observer = new PerformanceObserver(list => {
+            list.getEntries().forEach(entry => {
+                const kind = GC_KINDS[entry.detail ? entry.detail.kind : entry.kind] || 'other';
+                const k = gc[kind] || (gc[kind] = { count: 0, durationMs: 0, maxMs: 0 });
+
+                k.count++;
+                k.durationMs = round(k.durationMs + entry.duration);
+                k.maxMs = round(Math.max(k.maxMs, entry.duration));
+            });
+        });
+        observer.observe({ entryTypes: ['gc'] });
+    } catch(e) {
+        observer = null;
+    }
+
+    return {
+        sample: function () {
+            const eventLoop = delay && delay.count !== 0 ? {
+                min: lagOf(delay.min),
+                mean: lagOf(delay.mean),
+                p99: lagOf(delay.percentile(99)),
+                max: lagOf(delay.max)
+            } : null;
+
+            if (delay) delay.reset();
+
+            const out = {
+                eventLoop,
+                gc,
+                handles: {
+                    handles: process._getActiveHandles ? process._getActiveHandles().length : 0,
+                    requests: process._getActiveRequests ? process._getActiveRequests().length : 0,
+                    resources: resourcesOf()
+                }
+            };
+
+            gc = {};
+            last = out;
+
+            return out;
+        },
+
+        // Last sample, null before the first one
+        last: function () {
+            return last;
+        },
+
+        stop: function () {
+            if (delay) delay.disable();
+            if (observer) observer.disconnect();
+        }
+    };
+}
+
+// Fold a sample into the per-segment metrics ({ eventLoop, gc, handles } keyed by segment)
+function record (metrics, segment, sample) {
+    KINDS.forEach(kind => { if (!metrics[kind]) metrics[kind] = {}; });
+
+    if (sample.eventLoop) {
+        const s = sample.eventLoop;
+        const e = metrics.eventLoop[segment];
+
+        metrics.eventLoop[segment] = !e ? Object.assign({ samples: 1 }, s) : {
+            samples: e.samples + 1,
+            min: Math.min(e.min, s.min),
+            mean: round((e.mean * e.samples + s.mean) / (e.samples + 1)),
+            p99: Math.max(e.p99, s.p99),
+            max: Math.max(e.max, s.max)
+        };
+    }
+
+    const gc = metrics.gc[segment] || (metrics.gc[segment] = {});
+    Object.keys(sample.gc).forEach(kind => {
+        const k = gc[kind] || (gc[kind] = { count: 0, durationMs: 0, maxMs: 0 });
+
+        k.count += sample.gc[kind].count;
+        k.durationMs = round(k.durationMs + sample.gc[kind].durationMs);
+        k.maxMs = Math.max(k.maxMs, sample.gc[kind].maxMs);
+    });
+
+    const h = metrics.handles[segment] || {};
+    metrics.handles[segment] = {
+        handles: sample.handles.handles,
+        requests: sample.handles.requests,
+        maxHandles: Math.max(h.maxHandles || 0, sample.handles.handles),
+        maxRequests: Math.max(h.maxRequests || 0, sample.handles.requests),
+        resources: sample.handles.resources
+    };
+}
+
+// Combine the same segment of two processes: the worst event loop, GC pauses & handles added up (longest pause kept)
+function combine (kind, a, b) {
+    if (!a) return b;
+    if (!b) return a;
+
+    if (kind === 'eventLoop') {
+        return Object.assign(a.samples || b.samples ? { samples: (a.samples || 0) + (b.samples || 0) } : {}, {
+            min: Math.min(a.min, b.min),
+            mean: Math.max(a.mean, b.mean),
+            p99: Math.max(a.p99, b.p99),
+            max: Math.max(a.max, b.max)
+        });
+    }
+
+    const sum = (x, y) => {
+        let out = Object.assign({}, x);
+        Object.keys(y).forEach(k => {
+            if (k === 'maxMs') out[k] = Math.max(out[k] || 0, y[k]);
+            else if (typeof y[k] === 'number') out[k] = (out[k] || 0) + y[k];
+            else if (y[k] && typeof y[k] === 'object') out[k] = sum(out[k] || {}, y[k]);
+        });
+        return out;
+    };
+
+    return sum(a, b);
+}
+
+module.exports = { KINDS, RESOLUTION_MS, createRuntime, record, combine };
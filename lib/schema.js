@@ -0,0 +1,212 @@
+/**
+ * Parameter schemas inferred from the requests of a route
+ *
+ * Shape of a schema:
+ *   { count, firstSeen, lastSeen, params: fields, query: fields, body: fields }
+ *
+ * where fields is { [key]: field } and a field is
+ *   { count, types: { [type]: count }, firstSeen, lastSeen, fields?, items? }
+ * with `fields` for the keys of nested objects and `items` for array elements.
+ *
+ * Params, query strings and form bodies are strings, their types are the
+ * coerced ones ('42' is a number); JSON bodies keep their own types. Objects
+ * keep at most MAX_FIELDS keys and MAX_DEPTH levels, and a whole schema at most
+ * MAX_SCHEMA_FIELDS fields (its `size`), so clients sending random keys cannot
+ * grow a schema forever: once the budget is spent, new keys are ignored while
+ * known ones keep being counted.
+ */
+const LOCATIONS = ['params', 'query', 'body'];
+const MAX_FIELDS = 100;
+const MAX_DEPTH = 5;
+const MAX_ITEMS = 20;
+const MAX_SCHEMA_FIELDS = 500;
+
+function createSchema () {
+    return { count: 0, firstSeen: null, lastSeen: null, size: 0, params: {}, query: {}, body: {} };
+}
+
+// Fields of a schema, counted once for schemas saved before `size` was kept
+function sizeOf (schema) {
+    if (typeof schema.size === 'number') return schema.size;
+
+    const countField = f => (f.fields ? countFields(f.fields) : 0) + (f.items ? 1 + countField(f.items) : 0);
+    const countFields = fields => Object.keys(fields).reduce((n, key) => n + 1 + countField(fields[key]), 0);
+
+    schema.size = LOCATIONS.reduce((n, location) => n + countFields(schema[location] || {}), 0);
+    return schema.size;
+}
+
+function createField () {
+    return { count: 0, types: {}, firstSeen: null, lastSeen: null };
+}
+
+// Fix value type: 'true' -> true, '42' -> 42...
+function coerce (v) {
+    if (v === 'undefined') v = undefined;
+    if (v === 'false') v = false;
+    if (v === 'null') v = null;
+    if (v === 'true') v = true;
+    if (v === 'NaN') v = NaN;
+
+    if (typeof v === 'string' && v.trim() !== '' && !isNaN(v)) v = (+v);
+    return v;
+}
+
+function typeOf (v, coerceStrings) {
+    if (coerceStrings && typeof v === 'string') v = coerce(v);
+    if (v === null) return 'null';
+    if (Array.isArray(v)) return 'array';
+    return typeof v;
+}
+
+function isPlainObject (v) {
+    return !!v && typeof v === 'object' && !Array.isArray(v) && !Buffer.isBuffer(v);
+}
+
+// Whether a schema can take one more field, which is then counted
+function spend (schema) {
+    if (sizeOf(schema) >= MAX_SCHEMA_FIELDS) return false;
+
+    schema.size++;
+    return true;
+}
+
+// Field of a key, created unless there are too many keys already
+function fieldOf (schema, fields, key) {
+    if (Object.prototype.hasOwnProperty.call(fields, key)) return fields[key];
+    if (key === '__proto__' || Object.keys(fields).length >= MAX_FIELDS || !spend(schema)) return null;
+
+    return (fields[key] = createField());
+}
+
+// Field of the elements of an array field, created unless the schema is full
+function itemsOf (schema, field) {
+    if (field.items) return field.items;
+    return spend(schema) ? (field.items = createField()) : null;
+}
+
+function touch (o, first, last) {
+    if (!o.firstSeen || first < o.firstSeen) o.firstSeen = first;
+    if (!o.lastSeen || last > o.lastSeen) o.lastSeen = last;
+}
+
+// Add a value to a field
+function observe (schema, field, value, now, coerceStrings, depth) {
+    const type = typeOf(value, coerceStrings);
+
+    field.count++;
+    field.types[type] = (field.types[type] || 0) + 1;
+    touch(field, now, now);
+
+    if (depth >= MAX_DEPTH) return;
+
+    if (type === 'object' && isPlainObject(value)) observeFields(schema, field.fields || (field.fields = {}), value, now, coerceStrings, depth + 1);
+    if (type === 'array') {
+        value.slice(0, MAX_ITEMS).forEach(item => {
+            const items = itemsOf(schema, field);
+            if (items) observe(schema, items, item, now, coerceStrings, depth + 1);
+        });
+    }
+}
+
+function observeFields (schema, fields, obj, now, coerceStrings, depth) {
+    Object.keys(obj).forEach(key => {
+        const field = fieldOf(schema, fields, key);
+        if (field) observe(schema, field, obj[key], now, coerceStrings, depth);
+    });
+}
+
+// Schema of a single request
+function observeRequest (req, now) {
+    const schema = createSchema();
+    const json = typeof req.is === 'function' && !!req.is('json');
+
+    schema.count = 1;
+    touch(schema, now, now);
+
+    if (isPlainObject(req.params)) observeFields(schema, schema.params, req.params, now, true, 0);
+    if (isPlainObject(req.query)) observeFields(schema, schema.query, req.query, now, true, 0);
+    if (isPlainObject(req.body)) observeFields(schema, schema.body, req.body, now, !json, 0);
+
+    return schema;
+}
+
+function mergeField (schema, target, source) {
+    target.count += source.count;
+    touch(target, source.firstSeen, source.lastSeen);
+
+    Object.keys(source.types).forEach(type => {
+        target.types[type] = (target.types[type] || 0) + source.types[type];
+    });
+
+    if (source.fields) mergeFields(schema, target.fields || (target.fields = {}), source.fields);
+    if (source.items) {
+        const items = itemsOf(schema, target);
+        if (items) mergeField(schema, items, source.items);
+    }
+
+    return target;
+}
+
+function mergeFields (schema, target, source) {
+    Object.keys(source).forEach(key => {
+        const field = fieldOf(schema, target, key);
+        if (field) mergeField(schema, field, source[key]);
+    });
+
+    return target;
+}
+
+// Merge a schema into another, returns target
+function mergeSchema (target, source) {
+    sizeOf(target);
+    target.count += source.count;
+    touch(target, source.firstSeen, source.lastSeen);
+
+    LOCATIONS.forEach(location => mergeFields(target, target[location] || (target[location] = {}), source[location] || {}));
+
+    return target;
+}
+
+// Copy of a schema with the frequency of every key (share of its parent's count)
+function summarizeSchema (schema) {
+    const summarizeFields = (fields, parentCount) => {
+        let out = {};
+
+        Object.keys(fields || {}).forEach(key => {
+            const f = fields[key];
+
+            out[key] = Object.assign({}, f, { frequency: Math.round((f.count / parentCount) * 1000) / 1000 });
+            if (f.fields) out[key].fields = summarizeFields(f.fields, f.types.object || f.count);
+            if (f.items) out[key].items = summarizeFields({ items: f.items }, f.items.count).items;
+        });
+
+        return out;
+    };
+
+    const out = { count: schema.count, firstSeen: schema.firstSeen, lastSeen: schema.lastSeen };
+    LOCATIONS.forEach(location => { out[location] = summarizeFields(schema[location], schema.count); });
+
+    return out;
+}
+
+// Top-level keys of a schema in the shape of the former `namespaces` field of /slamCounts:
+// { params: { [key]: { namespace, type } }, query, body }, with each key's most frequent type
+function namespacesOf (schema) {
+    const out = {};
+
+    LOCATIONS.forEach(location => {
+        const fields = schema[location] || {};
+        out[location] = {};
+
+        Object.keys(fields).forEach(key => {
+            const types = fields[key].types;
+            const type = Object.keys(types).sort((a, b) => types[b] - types[a])[0];
+            out[location][key] = { namespace: key, type };
+        });
+    });
+
+    return out;
+}
+
+module.exports = { LOCATIONS, MAX_DEPTH, createSchema, observeRequest, mergeSchema, summarizeSchema, namespacesOf };
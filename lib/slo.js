@@ -0,0 +1,157 @@
+/**
+ * Service level objectives (SLOs): error budgets and burn rates
+ *
+ * An SLO asks that `objective` % of the requests to some routes be good over
+ * a `window`: not answered with a 5xx and, when `latencyMs` is set, served
+ * within latencyMs (as told by the latency histograms, so to ~5%). Its error
+ * budget is the share of bad requests it allows, (100 - objective) %.
+ *
+ * The burn rate over a time window is how fast the budget goes: the share of
+ * bad requests over the allowed share, 1 spending exactly the whole budget
+ * over the SLO window. An SLO burns too fast when both a long window and a
+ * short one (which stops the alert soon after the burn stops) burn faster
+ * than a rate, as in the Google SRE workbook:
+ *
+ *   critical  1h & 5m above 14.4, or 6h & 30m above 6 (2% or 5% of a 30-day budget gone)
+ *   warning   1d & 2h above 3, or 3d & 6h above 1
+ *
+ * Every window is read from the finest resolution that keeps it, rounded out
+ * to whole segments. Windows no resolution keeps have no burn rate (null).
+ */
+const histogram = require('./histogram');
+const { globMatcher } = require('./filters');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const BURN_WINDOWS = { '5m': 5 * MINUTE, '30m': 30 * MINUTE, '1h': HOUR, '2h': 2 * HOUR, '6h': 6 * HOUR, '1d': DAY, '3d': 3 * DAY };
+
+const BURN_ALERTS = [
+    { severity: 'critical', long: '1h', short: '5m', rate: 14.4 },
+    { severity: 'critical', long: '6h', short: '30m', rate: 6 },
+    { severity: 'warning', long: '1d', short: '2h', rate: 3 },
+    { severity: 'warning', long: '3d', short: '6h', rate: 1 }
+];
+
+const round = v => Math.round(v * 100) / 100;
+
+// Test of a route key ("METHOD route") against an SLO's route: a string or glob (as in `include`), a RegExp, or none for every route
+function routeMatcher (pattern) {
+    if (!pattern) return () => true;
+
+    if (pattern instanceof RegExp) {
+        return key => {
+            pattern.lastIndex = 0;
+            return pattern.test(key);
+        };
+    }
+
+    const test = globMatcher(pattern);
+    if (pattern.indexOf(' ') >= 0) return test;
+
+    return key => test(key.slice(key.indexOf(' ') + 1));
+}
+
+// Requests of a route within a latency, from the histogram buckets up to the one holding it
+function fastCount (entry, latencyMs) {
+    const last = histogram.bucketOf(latencyMs);
+    let count = 0;
+
+    Object.keys(entry.histogram || {}).forEach(bucket => {
+        if (+bucket <= last) count += entry.histogram[bucket];
+    });
+
+    return count;
+}
+
+// Good & total requests of the routes of an SLO over segments [from, to]
+function eventsOf (slo, counts, from, to) {
+    let total = 0;
+    let good = 0;
+
+    Object.keys(counts).filter(slo.match).forEach(key => {
+        const statusCodes = counts[key].statusCodes;
+
+        Object.keys(statusCodes).forEach(code => {
+            const segments = statusCodes[code].segments;
+
+            Object.keys(segments).forEach(seg => {
+                if (+seg < from || +seg > to) return;
+
+                const entry = segments[seg];
+                total += entry.count;
+                if (+code < 500) good += slo.latencyMs ? fastCount(entry, slo.latencyMs) : entry.count;
+            });
+        });
+    });
+
+    return { total, good: Math.min(good, total) };
+}
+
+// Finest of the views ({ resolution, counts }) keeping a window, and the segments it spans
+function spanOf (views, ms, now) {
+    const view = views.find(v => v.resolution.segmentSize <= ms && v.resolution.retention >= ms);
+    if (!view) return null;
+
+    const size = view.resolution.segmentSize;
+    return { view, from: Math.floor((now - ms) / size), to: Math.floor(now / size) };
+}
+
+/**
+ * State of every SLO
+ *   slos: normalized SLOs ({ name, route, objective, latencyMs, window })
+ *   views: [{ resolution, counts }], finest resolution first
+ *
+ * Returns [{ name, route, objective, latencyMs, window, covered, total, good, bad, ratio,
+ *   errorBudget: { allowed, spent, remaining }, burnRates: { [window]: rate | null }, alerts, status }]
+ * `covered` is the part of the window the data spans (the longest retention when no resolution keeps it all),
+ * `remaining` the % of the budget left (negative once overspent), and status 'ok', 'warning' or 'critical'.
+ */
+function evaluate (slos, views, now) {
+    return slos.map(slo => {
+        const allowed = 1 - slo.objective / 100;
+        const s = Object.assign({ match: routeMatcher(slo.route) }, slo);
+
+        // The SLO window, or as much of it as is kept
+        const longest = views.reduce((a, b) => b.resolution.retention > a.resolution.retention ? b : a);
+        const span = spanOf(views, slo.window, now) || spanOf([longest], longest.resolution.retention, now);
+        const events = eventsOf(s, span.view.counts, span.from, span.to);
+        const bad = events.total - events.good;
+
+        const burnRates = {};
+        Object.keys(BURN_WINDOWS).forEach(name => {
+            const w = spanOf(views, BURN_WINDOWS[name], now);
+            if (!w) return (burnRates[name] = null);
+
+            const e = eventsOf(s, w.view.counts, w.from, w.to);
+            burnRates[name] = e.total ? round(((e.total - e.good) / e.total) / allowed) : 0;
+        });
+
+        const alerts = BURN_ALERTS.filter(a => burnRates[a.long] > a.rate && burnRates[a.short] > a.rate);
+        const spent = events.total ? (bad / events.total) / allowed : 0;
+
+        return {
+            name: slo.name,
+            route: slo.route instanceof RegExp ? String(slo.route) : slo.route || null,
+            objective: slo.objective,
+            latencyMs: slo.latencyMs || null,
+            window: slo.window,
+            covered: Math.min(slo.window, span.view.resolution.retention),
+            total: round(events.total),
+            good: round(events.good),
+            bad: round(bad),
+            ratio: events.total ? round((events.good / events.total) * 100) : null,
+            errorBudget: {
+                allowed: round(allowed * events.total),
+                spent: round(bad),
+                remaining: round((1 - spent) * 100)
+            },
+            burnRates,
+            alerts,
+            status: alerts.some(a => a.severity === 'critical') ? 'critical' : alerts.length || spent >= 1 ? 'warning' : 'ok'
+        };
+    });
+}
+
+module.exports = { BURN_WINDOWS, BURN_ALERTS, evaluate };
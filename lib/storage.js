@@ -0,0 +1,61 @@
+/**
+ * Persistence for SLAM statistics
+ *
+ * A storage adapter is any object with these two methods (each may return a
+ * value or a Promise):
+ *
+ *   load()          resolves to the last saved snapshot, or null if none
+ *   save(snapshot)  persists a snapshot, replacing the previous one
+ *
+ * A snapshot is a plain, JSON-serializable object:
+ *
+ *   { version: 1, savedAt: <ms timestamp>, counts: <global.slamCounts>,
+ *     rollups: { [segment size in ms]: <counts> },
+ *     systemMetrics: { memory: {...}, cpu: {...}, eventLoop: {...}, gc: {...}, handles: {...} } }
+ *
+ * `counts` holds the finest resolution, `rollups` every coarser one (see
+ * options.resolutions), keyed by its segment size, in the same shape (see
+ * ./route-stats). A snapshot without `rollups` restores the finest
+ * resolution only.
+ *
+ * Adapters should treat snapshots as opaque: store the object (or its JSON)
+ * and hand back an equal object from load().
+ */
+const fs = require('fs');
+const path = require('path');
+
+const SNAPSHOT_VERSION = 1;
+
+// JSON file adapter, written atomically (temp file + rename)
+function fileStore (file) {
+    file = path.resolve(file);
+
+    return {
+        load: function () {
+            return fs.promises.readFile(file, 'utf8')
+                .then(json => JSON.parse(json))
+                .catch(e => {
+                    if (e.code === 'ENOENT') return null;
+                    throw e;
+                });
+        },
+
+        save: function (snapshot) {
+            const tmp = `${ file }.${ process.pid }.tmp`;
+
+            return fs.promises.mkdir(path.dirname(file), { recursive: true })
+                .then(() => fs.promises.writeFile(tmp, JSON.stringify(snapshot)))
+                .then(() => fs.promises.rename(tmp, file));
+        }
+    };
+}
+
+// Throw if an object does not implement the adapter contract
+function validateStore (store) {
+    if (!store || typeof store.load !== 'function' || typeof store.save !== 'function') {
+        throw new TypeError('[Slam] storage adapter must implement load() and save(snapshot)');
+    }
+    return store;
+}
+
+module.exports = { SNAPSHOT_VERSION, fileStore, validateStore };
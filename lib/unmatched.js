@@ -0,0 +1,82 @@
+/**
+ * Route names for requests no Express route matched (404s, static files,
+ * requests answered by middleware)
+ *
+ * The path is normalized into a pattern: numeric IDs become `:id`, UUIDs
+ * `:uuid`, hex hashes and long random tokens `:hash`, so `/users/42/avatar`
+ * and `/users/43/avatar` are counted as `unmatched /users/:id/avatar`. Once
+ * `maxPatterns` patterns are known, new ones are counted as `unmatched (other)`.
+ */
+const PREFIX = 'unmatched ';
+const OTHER = 'unmatched (other)';
+const MAX_DEPTH = 10;
+const MAX_SEGMENT_LENGTH = 64;
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const HEX = /^[0-9a-f]{8,}$/i;
+
+// Long random-looking strings (API keys, base64url ids), not slugs like 'my-first-post-2024'
+function isToken (part) {
+    if (!/^[\w-]{20,}$/.test(part) || !/[a-z]/i.test(part)) return false;
+
+    const digits = part.replace(/\D/g, '').length;
+    return /^[a-z0-9]+$/i.test(part) ? digits > 0 : digits / part.length >= 0.25;
+}
+
+// Placeholder for one path segment (or one dot-separated part of a file name)
+function normalizePart (part) {
+    if (/^\d+$/.test(part)) return ':id';
+    if (UUID.test(part)) return ':uuid';
+    if (HEX.test(part) && /\d/.test(part)) return ':hash';
+    if (isToken(part)) return ':hash';
+    return part;
+}
+
+function normalizeSegment (segment) {
+    if (segment.length > MAX_SEGMENT_LENGTH) return ':long';
+
+    const whole = normalizePart(segment);
+    if (whole !== segment) return whole;
+
+    // main.3f2a9c1b.js -> main.:hash.js
+    return segment.split('.').map(normalizePart).join('.');
+}
+
+// '/users/42/?page=2' -> '/users/:id'
+function normalizePath (url) {
+    const path = String(url || '/').split('?')[0].split('#')[0];
+    const segments = path.split('/').filter(Boolean);
+    const out = segments.slice(0, MAX_DEPTH).map(normalizeSegment);
+
+    if (segments.length > MAX_DEPTH) out.push('**');
+    return '/' + out.join('/');
+}
+
+// Route names of unmatched requests, at most `maxPatterns` distinct ones
+function createUnmatched (options) {
+    const patterns = new Set();
+
+    return {
+        // Route name of a request
+        routeOf: function (req) {
+            const pattern = normalizePath(req.originalUrl || req.url);
+
+            if (!patterns.has(pattern)) {
+                if (patterns.size >= options.maxPatterns) return OTHER;
+                patterns.add(pattern);
+            }
+
+            return PREFIX + pattern;
+        },
+
+        // Count patterns already in the stats ("METHOD route" keys, e.g. from a snapshot) towards the cap
+        remember: function (keys) {
+            keys.forEach(key => {
+                const route = key.slice(key.indexOf(' ') + 1);
+                if (route.indexOf(PREFIX) === 0 && route !== OTHER) patterns.add(route.slice(PREFIX.length));
+            });
+        }
+    };
+}
+
+module.exports = { createUnmatched, normalizePath, PREFIX, OTHER };